@@ -1,6 +1,7 @@
 import os
 import json
 import logging
+from concurrent.futures import ThreadPoolExecutor
 import numpy as np
 import faiss
 from flask import Flask, render_template, request, jsonify
@@ -15,6 +16,7 @@ logging.basicConfig(level=logging.INFO, format='%(asctime)s - %(levelname)s - %(
 # --- AI & Model Configuration ---
 TEXT_EMBEDDING_MODEL = "text-embedding-004"
 GENERATIVE_MODEL_NAME = "gemini-2.0-flash"
+COMPARISON_WORKERS = 5
 
 # --- AI Prompts ---
 CV_ANALYSIS_PROMPT = """
@@ -60,6 +62,38 @@ Based on this comparison, provide a JSON object with:
 Respond ONLY with the JSON object.
 """
 
+RUBRIC_EVALUATION_PROMPT = """
+You are an expert HR interviewer. Evaluate the Candidate's Profile against each hiring criterion for the Job Description below.
+
+Job Description:
+---
+{jd_text}
+---
+
+Candidate Profile:
+- Name: {name}
+- Experience: {experience} years
+- Education: {education}
+- Industry: {industry}
+- Recent Companies: {companies}
+- Summary: {summary}
+- Skills: {skills}
+---
+
+Criteria (JSON):
+{criteria}
+
+Judge each criterion on evidence in the profile, treating equivalent terms as matches (e.g. "AWS" satisfies "Amazon Web Services").
+
+Provide a JSON object with:
+1. "criteria": An array with one object per criterion: {{"id": the criterion id, "met": a number from 0 to 1 for how fully it is satisfied, "note": a short phrase citing the evidence or what is missing}}.
+2. "justification": A concise, one-sentence justification of the candidate's overall fit.
+
+Respond ONLY with the JSON object.
+"""
+
+RUBRIC_CRITERION_TYPES = {'must_have', 'nice_to_have', 'experience', 'education', 'industry'}
+
 # --- AI Initialization ---
 try:
     api_key = os.environ.get("GOOGLE_API_KEY")
@@ -94,6 +128,136 @@ def get_ai_comparison(jd_text: str, candidate: dict) -> dict:
     json_text = response.text.strip().replace("```json", "").replace("```", "")
     return json.loads(json_text)
 
+
+def get_ai_rubric_evaluation(jd_text: str, candidate: dict, rubric: list) -> dict:
+    """Uses a generative model to judge how well a candidate meets each rubric criterion."""
+    # Experience is scored arithmetically in score_rubric, so the model only sees the other criteria.
+    judged = [{"id": c['id'], "type": c['type'], "requirement": c['label']} for c in rubric if c['type'] != 'experience']
+    prompt = RUBRIC_EVALUATION_PROMPT.format(
+        jd_text=jd_text,
+        name=candidate.get('name', 'N/A'),
+        experience=candidate.get('totalExperienceYears', 0),
+        education=candidate.get('education', 'N/A'),
+        industry=candidate.get('industry', 'N/A'),
+        companies=candidate.get('companies', 'N/A'),
+        summary=candidate.get('summary', 'N/A'),
+        skills=', '.join(candidate.get('skills', [])),
+        criteria=json.dumps(judged)
+    )
+    response = generative_model.generate_content(prompt)
+    json_text = response.text.strip().replace("```json", "").replace("```", "")
+    return json.loads(json_text)
+
+
+def validate_rubric(rubric) -> list:
+    """Normalises a rubric from the client, raising ValueError if it is malformed."""
+    if not isinstance(rubric, list):
+        raise ValueError("Rubric must be a list of criteria.")
+    criteria = []
+    for criterion in rubric:
+        if not isinstance(criterion, dict) or criterion.get('type') not in RUBRIC_CRITERION_TYPES or not criterion.get('id'):
+            raise ValueError("Each rubric criterion needs an id and a known type.")
+        weight = float(criterion.get('weight', 1))
+        if weight < 0:
+            raise ValueError("Rubric weights cannot be negative.")
+        normalised = {**criterion, "label": str(criterion.get('label', '')), "weight": weight}
+        if criterion['type'] == 'experience':
+            normalised['min'] = float(criterion['min']) if criterion.get('min') is not None else None
+            normalised['max'] = float(criterion['max']) if criterion.get('max') is not None else None
+        criteria.append(normalised)
+    return criteria
+
+
+def evaluate_experience(criterion: dict, years: float) -> dict:
+    """Scores years of experience against a min/max range, with partial credit below the minimum."""
+    min_years = criterion.get('min')
+    max_years = criterion.get('max')
+    if min_years is not None and years < min_years:
+        return {"met": years / min_years if min_years else 1.0, "note": f"{years:g} years, below the {min_years:g}-year minimum"}
+    if max_years is not None and years > max_years:
+        return {"met": 0.5, "note": f"{years:g} years, above the {max_years:g}-year maximum"}
+    return {"met": 1.0, "note": f"{years:g} years, within range"}
+
+
+def keyword_rubric_evaluation(candidate: dict, rubric: list) -> list:
+    """Fallback evaluation by plain substring matching when the AI evaluation fails."""
+    # Restored or imported candidates can carry None for any of these, so fall back to empty values.
+    profile = ' '.join(candidate.get('skills') or []) + ' ' + (candidate.get('summary') or '')
+    fields = {
+        'must_have': profile,
+        'nice_to_have': profile,
+        'education': candidate.get('education') or '',
+        'industry': candidate.get('industry') or '',
+    }
+    evaluations = []
+    for criterion in rubric:
+        if criterion['type'] == 'experience':
+            continue
+        haystack = (fields.get(criterion['type']) or '').lower()
+        terms = [t.strip().lower() for t in criterion['label'].split(',') if t.strip()]
+        found = any(term in haystack for term in terms)
+        evaluations.append({"id": criterion['id'], "met": 1.0 if found else 0.0, "note": "Keyword found" if found else "Keyword not found"})
+    return evaluations
+
+
+def score_rubric(rubric: list, evaluations: list, candidate: dict) -> dict:
+    """Combines per-criterion evaluations into a weighted 0-100 score and a must-have gate."""
+    by_id = {e.get('id'): e for e in evaluations if isinstance(e, dict)}
+    breakdown = []
+    for criterion in rubric:
+        if criterion['type'] == 'experience':
+            evaluation = evaluate_experience(criterion, float(candidate.get('totalExperienceYears') or 0))
+        else:
+            evaluation = by_id.get(criterion['id'], {"met": 0, "note": "Not evaluated"})
+        met = min(1.0, max(0.0, float(evaluation.get('met') or 0)))
+        breakdown.append({
+            "id": criterion['id'],
+            "type": criterion['type'],
+            "label": criterion['label'],
+            "weight": criterion['weight'],
+            "met": round(met, 2),
+            "note": evaluation.get('note', '')
+        })
+
+    total_weight = sum(c['weight'] for c in breakdown)
+    score = round(100 * sum(c['weight'] * c['met'] for c in breakdown) / total_weight) if total_weight else 0
+    failed = [c['label'] for c in breakdown if c['type'] == 'must_have' and c['met'] < 0.5]
+    return {"score": score, "criteria": breakdown, "gatePassed": not failed, "failedMustHaves": failed}
+
+
+def score_candidate(jd_text: str, candidate: dict, rubric: list, distance: float) -> dict:
+    """Scores one candidate against the JD, falling back to keywords or vector distance if the AI call fails."""
+    identity = {"candidateId": candidate.get('candidateId'), "name": candidate.get('name')}
+    try:
+        if rubric:
+            evaluation = get_ai_rubric_evaluation(jd_text, candidate, rubric)
+            return {
+                **identity,
+                **score_rubric(rubric, evaluation.get('criteria', []), candidate),
+                "justification": evaluation.get('justification', 'No justification provided.')
+            }
+
+        ai_justification = get_ai_comparison(jd_text, candidate)
+        return {
+            **identity,
+            "score": ai_justification.get('score', 0),
+            "justification": ai_justification.get('justification', 'No justification provided.')
+        }
+    except Exception as e:
+        logging.warning(f"Could not generate AI justification for {candidate.get('name', 'a candidate')}: {e}")
+        if rubric:
+            return {
+                **identity,
+                **score_rubric(rubric, keyword_rubric_evaluation(candidate, rubric), candidate),
+                "justification": "Scored by keyword matching because the AI evaluation was unavailable."
+            }
+        # Fallback to a score based on vector distance if justification fails
+        return {
+            **identity,
+            "score": max(0, 100 - int(distance * 50)),
+            "justification": "Strong keyword and conceptual match based on vector similarity."
+        }
+
 # --- Flask Routes ---
 
 @app.route('/')
@@ -133,6 +297,11 @@ def compare_candidates_endpoint():
     if not jd_text or not candidates:
         return jsonify({"error": "Job description or candidate data is missing."}), 400
 
+    try:
+        rubric = validate_rubric(data.get('rubric') or [])
+    except (TypeError, ValueError) as e:
+        return jsonify({"error": f"Invalid rubric: {e}"}), 400
+
     try:
         # 1. Create a "document" for each candidate for embedding
         candidate_docs = [
@@ -151,33 +320,18 @@ def compare_candidates_endpoint():
         index = faiss.IndexFlatL2(candidate_vectors.shape[1])
         index.add(candidate_vectors)
         
-        # Search for top 3 most similar candidates
-        distances, indices = index.search(jd_vector, k=min(3, len(candidates)))
+        # Rank every candidate by similarity; the client batches large pools across requests
+        distances, indices = index.search(jd_vector, k=len(candidates))
         
-        # 4. Generate AI-powered justification for the top matches
-        results = []
-        for i in range(len(indices[0])):
-            candidate_index = indices[0][i]
-            top_candidate = candidates[candidate_index]
-
-            try:
-                ai_justification = get_ai_comparison(jd_text, top_candidate)
-                results.append({
-                    "name": top_candidate.get('name'),
-                    "score": ai_justification.get('score', 0),
-                    "justification": ai_justification.get('justification', 'No justification provided.')
-                })
-            except Exception as e:
-                logging.warning(f"Could not generate AI justification for {top_candidate.get('name', 'a candidate')}: {e}")
-                # Fallback to a score based on vector distance if justification fails
-                score = max(0, 100 - int(distances[0][i] * 50))
-                results.append({
-                    "name": top_candidate.get('name'),
-                    "score": score,
-                    "justification": "Strong keyword and conceptual match based on vector similarity."
-                })
-
-        results.sort(key=lambda x: x['score'], reverse=True)
+        # 4. Generate AI-powered justification for every candidate, in parallel
+        with ThreadPoolExecutor(max_workers=COMPARISON_WORKERS) as executor:
+            results = list(executor.map(
+                lambda i: score_candidate(jd_text, candidates[indices[0][i]], rubric, distances[0][i]),
+                range(len(indices[0]))
+            ))
+
+        # Candidates who fail a must-have gate rank below everyone who passes, whatever their score.
+        results.sort(key=lambda x: (x.get('gatePassed', True), x['score']), reverse=True)
         logging.info(f"Successfully compared {len(candidates)} candidates.")
         return jsonify(results)
 
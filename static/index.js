@@ -22,42 +22,143 @@ window.onload = () => {
     const downloadBtn = document.getElementById('downloadBtn');
     const downloadHint = document.getElementById('download-hint');
     const jdUploadInput = document.getElementById('jd-upload-input');
+    const importInput = document.getElementById('importInput');
     const jdFileName = document.getElementById('jd-file-name');
     const compareBtn = document.getElementById('compareBtn');
     const comparisonResultsContainer = document.getElementById('comparison-results-container');
+    const comparisonTabs = document.getElementById('comparison-tabs');
+    const jdList = document.getElementById('jd-list');
     const candidateGrid = document.getElementById('candidate-grid');
+    const pipelineBoard = document.getElementById('pipeline-board');
+    const analyticsDashboard = document.getElementById('analytics-dashboard');
+    const gridFilterBanner = document.getElementById('grid-filter-banner');
+    const gridFilterText = document.getElementById('grid-filter-text');
+    const clearGridFilterBtn = document.getElementById('clearGridFilterBtn');
+    const candidateSearchInput = document.getElementById('candidate-search-input');
+    const candidateSearchStatus = document.getElementById('candidate-search-status');
+    const savedSearchSelect = document.getElementById('saved-search-select');
+    const saveSearchBtn = document.getElementById('saveSearchBtn');
+    const deleteSearchBtn = document.getElementById('deleteSearchBtn');
+    const bulkActions = document.getElementById('bulk-actions');
+    const bulkSelectionCount = document.getElementById('bulk-selection-count');
+    const bulkSelectAllBtn = document.getElementById('bulkSelectAllBtn');
+    const bulkShortlistBtn = document.getElementById('bulkShortlistBtn');
+    const bulkCompareBtn = document.getElementById('bulkCompareBtn');
+    const bulkExportBtn = document.getElementById('bulkExportBtn');
+    const bulkRemoveBtn = document.getElementById('bulkRemoveBtn');
+    const clearSelectionBtn = document.getElementById('clearSelectionBtn');
     const modalContainer = document.getElementById('modal-container');
+    const modalContent = document.getElementById('modal-content');
     const modalName = document.getElementById('modal-name');
     const modalBody = document.getElementById('modal-body');
     const modalCloseBtn = document.getElementById('modal-close-btn');
+    const modalShortcuts = document.getElementById('modal-shortcuts');
+    const liveRegion = document.getElementById('live-region');
+    const sessionList = document.getElementById('session-list');
+    const currentSessionName = document.getElementById('current-session-name');
+    const newSessionBtn = document.getElementById('newSessionBtn');
+    const mergeSessionsBtn = document.getElementById('mergeSessionsBtn');
+    const queueProgressText = document.getElementById('queue-progress-text');
+    const queueEta = document.getElementById('queue-eta');
+    const queueProgress = document.getElementById('queue-progress');
+    const queueProgressBar = document.getElementById('queue-progress-bar');
+    const concurrencyInput = document.getElementById('concurrencyInput');
+    const pauseQueueBtn = document.getElementById('pauseQueueBtn');
+    const resumeQueueBtn = document.getElementById('resumeQueueBtn');
+    const cancelQueueBtn = document.getElementById('cancelQueueBtn');
+    const duplicateBanner = document.getElementById('duplicate-banner');
+    const duplicateBannerText = document.getElementById('duplicate-banner-text');
+    const reviewDuplicatesBtn = document.getElementById('reviewDuplicatesBtn');
+    const skippedFilesSection = document.getElementById('skipped-files-section');
+    const skippedFilesCount = document.getElementById('skipped-files-count');
+    const skippedFilesList = document.getElementById('skipped-files-list');
+    const rubricRoleInput = document.getElementById('rubric-role');
+    const rubricSavedSelect = document.getElementById('rubric-saved-select');
+    const saveRubricBtn = document.getElementById('saveRubricBtn');
+    const deleteRubricBtn = document.getElementById('deleteRubricBtn');
+    const clearRubricBtn = document.getElementById('clearRubricBtn');
+    const rubricExpMinInput = document.getElementById('rubric-exp-min');
+    const rubricExpMaxInput = document.getElementById('rubric-exp-max');
+    const rubricExpWeightInput = document.getElementById('rubric-exp-weight');
+    const rubricEducationInput = document.getElementById('rubric-education');
+    const rubricEducationWeightInput = document.getElementById('rubric-education-weight');
+    const rubricIndustriesInput = document.getElementById('rubric-industries');
+    const rubricIndustriesWeightInput = document.getElementById('rubric-industries-weight');
+    const redactionEnabledInput = document.getElementById('redactionEnabledInput');
+    const redactionPatternList = document.getElementById('redaction-pattern-list');
+    const customPatternList = document.getElementById('custom-pattern-list');
+    const addCustomPatternBtn = document.getElementById('addCustomPatternBtn');
+    const blindReviewInput = document.getElementById('blindReviewInput');
 
     let processedCVs = [];
-    let jdText = '';
+    let jobDescriptions = [];
+    let comparisonRuns = {};
+    let activeComparisonView = 'matrix';
+    let lastComparisonResults = [];
+    let savedRubrics = [];
+    let sessionFiles = [];
+    let currentSession = null;
+    let jobQueue = [];
+    let queuePaused = false;
+    let queueDurations = [];
+    let dismissedDuplicates = [];
+    let skippedFiles = [];
+    let candidateView = 'grid';
+    let gridFilter = null;
+    let analyticsJdId = null;
+    let selectedCandidateIds = new Set();
+    let gridFocusId = null;
+    let modalCandidateId = null;
+    let modalReturnFocus = null;
+    let lastProgressAnnouncement = '';
+    let rankingView = { sortKey: 'rank', sortDir: 'asc', page: 1, minScore: '', expMin: '', expMax: '', skill: '', shortlistedOnly: false, expanded: new Set() };
+
+    const COMPARE_BATCH_SIZE = 10;
+    const RANKING_PAGE_SIZE = 25;
+    const MATRIX_TOP_CANDIDATES = 3;
+    const PIPELINE_STAGES = ['New', 'Screened', 'Shortlisted', 'Interview', 'Offer', 'Rejected'];
+    // Stages that count as on the shortlist; the ranking table's star is derived from these.
+    const SHORTLIST_STAGES = ['Shortlisted', 'Interview', 'Offer'];
+    const MAX_RATING = 5;
 
     async function handleFolderSelect(e) {
         try {
             const files = e.target.files;
             if (!files || !files.length) return;
 
-            resetState();
+            // A folder picked while the session already holds candidates (analysed or imported) is merged into it.
+            const appending = processedCVs.length > 0 || jobQueue.length > 0;
+            if (!appending) {
+                resetState();
+                const folderName = files[0].webkitRelativePath ? files[0].webkitRelativePath.split('/')[0] : '';
+                if (folderName) currentSession.name = folderName;
+            }
             uploadSection.classList.add('hidden');
             processingSection.classList.remove('hidden');
             welcomeScreen.classList.add('hidden');
             
-            const validFiles = Array.from(files).filter(file =>
-                file.name.toLowerCase().endsWith('.pdf') || file.name.toLowerCase().endsWith('.docx')
-            );
+            // Re-picking a folder only queues the files this session has not seen yet.
+            const knownPaths = new Set([...sessionFiles.map(f => f.filename), ...jobQueue.map(job => job.fileName)]);
+            const validFiles = [];
+            let alreadyAdded = 0;
+            Array.from(files).forEach(file => {
+                const reason = getUnsupportedReason(file);
+                if (reason) skippedFiles.push({ filename: file.name, path: file.webkitRelativePath || file.name, reason });
+                else if (knownPaths.has(file.webkitRelativePath || file.name)) alreadyAdded++;
+                else validFiles.push(file);
+            });
+            renderSkippedFiles();
 
             if (validFiles.length === 0) {
-                statusTableBody.innerHTML = `<tr><td class="p-4 text-center text-red-500">No valid .pdf or .docx files found.</td></tr>`;
+                if (appending) alert(alreadyAdded ? "Every CV in that folder is already in this session." : "No supported CV files found in that folder.");
+                else statusTableBody.innerHTML = `<tr><td class="p-4 text-center text-red-500">No supported CV files found.</td></tr>`;
+                persistSession();
                 return;
             }
 
-            validFiles.forEach(file => addStatusRow(file.name, "Queued", 'pending'));
-
-            for (const file of validFiles) {
-                await processFile(file);
-            }
+            enqueueFiles(validFiles);
+            // Lets the same folder be picked again, e.g. after files were added to it.
+            folderInput.value = '';
         } catch (error) {
             console.error("Critical error in handleFolderSelect:", error);
             statusTableBody.innerHTML = `<tr><td class="p-4 text-center text-red-600">A critical error occurred. Please refresh.</td></tr>`;
@@ -65,132 +166,141 @@ window.onload = () => {
     }
     
     async function handleJDFileSelect(e) {
-        const file = e.target.files[0];
-        if (!file) {
-            jdText = '';
-            jdFileName.textContent = '';
-            return;
-        }
+        const files = Array.from(e.target.files);
+        if (!files.length) return;
 
-        jdFileName.textContent = `Selected: ${file.name}`;
-
-        try {
-            jdText = await extractTextFromFile(file);
-            if (!jdText) {
-                alert("Could not extract text from the Job Description file.");
-                jdFileName.textContent = `Error reading file. Please try another.`;
+        const errors = [];
+        for (const file of files) {
+            jdFileName.textContent = `Reading ${file.name}...`;
+            try {
+                const text = await extractTextFromFile(file);
+                if (!text || !text.trim()) {
+                    errors.push(`${file.name}: no text could be extracted`);
+                    continue;
+                }
+                // Re-uploading a file with the same name replaces that role's text rather than adding a column.
+                const existing = jobDescriptions.find(jd => jd.name === file.name);
+                if (existing) {
+                    existing.text = text;
+                    delete comparisonRuns[existing.id];
+                } else {
+                    jobDescriptions.push({ id: createJobDescriptionId(), name: file.name, text, rubricId: '' });
+                }
+            } catch (error) {
+                console.error("Error processing JD file:", error);
+                errors.push(`${file.name}: ${error.message}`);
             }
-        } catch (error) {
-            console.error("Error processing JD file:", error);
-            alert(`Error processing JD file: ${error.message}`);
-            jdFileName.textContent = `Error: ${error.message}`;
-            jdText = '';
         }
+
+        jdUploadInput.value = '';
+        jdFileName.textContent = errors.length ? `Error: ${errors.join('; ')}` : '';
+        if (errors.length) alert(`Some job descriptions could not be read:\n${errors.join('\n')}`);
+        renderJobDescriptionList();
+        renderComparisonRuns();
+        persistSession();
     }
 
-    async function processFile(file) {
-        const fileName = file.name;
+    async function processFile(job) {
+        const fileName = job.fileName;
+        const signal = job.controller.signal;
         try {
             updateStatus(fileName, "Extracting text...", 'processing');
-            const text = await extractTextFromFile(file);
+            const extraction = {
+                onOcrProgress: (page, pageCount) => updateStatus(fileName, `OCR page ${page}/${pageCount}...`, 'ocr')
+            };
+            const text = await extractTextFromFile(job.file, extraction);
+            if (signal.aborted) return 'cancelled';
 
             if (!text || text.trim().length < 50) {
                 updateStatus(fileName, "Error: Empty file.", 'error');
-                return;
+                recordSessionFile(fileName, null, 'error', "Error: Empty file.");
+                return 'error';
+            }
+
+            const textHash = await hashText(text);
+            const existing = processedCVs.find(cv => cv.textHash === textHash);
+            if (existing) {
+                const message = `Skipped: same text as ${existing.filename}`;
+                updateStatus(fileName, message, 'success');
+                recordSessionFile(fileName, textHash, 'success', message);
+                return 'success';
             }
+            const redaction = redactText(text);
 
             updateStatus(fileName, "Analyzing with AI...", 'analyzing');
-            const aiResult = await analyzeCVWithAI(text);
+            const aiResult = await withRetry(() => analyzeCVWithAI(redaction.text, signal), job);
 
-            if (aiResult) {
-                const resultWithFilename = { ...aiResult, filename: fileName };
+            if (aiResult && typeof aiResult === 'object' && !Array.isArray(aiResult)) {
+                // Placeholders the AI copied into its answer are swapped back for the originals, which never left the browser.
+                const restored = normalizeAnalysis(Object.fromEntries(Object.entries(aiResult).map(([key, value]) => [key, restoreRedactedValues(value, redaction.values)])));
+                const resultWithFilename = { ...restored, ...extractContactDetails(text), candidateId: createCandidateId(), filename: fileName, textHash, stage: 'New', notes: '', tags: [], rating: 0, pii: redaction.values };
+                if (extraction.ocr) resultWithFilename.ocr = extraction.ocr;
                 processedCVs.push(resultWithFilename);
+                saveCandidateSource(resultWithFilename, job.file, text);
+                sourceTexts.set(resultWithFilename.candidateId, text);
                 renderCandidateCards();
                 updateStatus(fileName, "Complete", 'success');
+                recordSessionFile(fileName, textHash, 'success', "Complete");
 
                 if (downloadBtn.disabled) {
                     downloadBtn.disabled = false;
                     downloadHint.classList.add('hidden');
                     resultsDashboard.classList.remove('hidden');
                 }
+                return 'success';
             } else {
-                throw new Error("AI analysis returned empty result.");
+                throw new Error(aiResult ? "AI analysis returned an unexpected response." : "AI analysis returned empty result.");
             }
 
         } catch (error) {
+            if (error.name === 'AbortError') return 'cancelled';
             console.error(`Error processing ${fileName}:`, error);
             let errorMessage = error.message || 'Unknown error.';
             updateStatus(fileName, `Error: ${errorMessage}`, 'error');
+            recordSessionFile(fileName, null, 'error', `Error: ${errorMessage}`);
+            return 'error';
         }
     }
 
-    function extractTextFromFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            const fileType = file.name.toLowerCase().split('.').pop();
-            reader.onload = async (event) => {
-                try {
-                    const fileBuffer = event.target?.result;
-                    if (!fileBuffer || !(fileBuffer instanceof ArrayBuffer)) {
-                        return reject(new Error("Could not read file buffer."));
-                    }
-
-                    if (fileType === 'pdf') {
-                        if (!pdfjsLib) return reject(new Error("pdf.js library is not available."));
-                        const typedarray = new Uint8Array(fileBuffer);
-                        const pdf = await pdfjsLib.getDocument(typedarray).promise;
-                        let fullText = '';
-                        for (let i = 1; i <= pdf.numPages; i++) {
-                            const page = await pdf.getPage(i);
-                            const textContent = await page.getTextContent();
-                            fullText += textContent.items.map((item) => item.str).join(' ') + '\n';
-                        }
-                        resolve(fullText);
-                    } else if (fileType === 'docx') {
-                        if (!mammoth) return reject(new Error("mammoth.js library is not available."));
-                        const result = await mammoth.extractRawText({ arrayBuffer: fileBuffer });
-                        resolve(result.value);
-                    } else {
-                        reject(new Error("Unsupported file type"));
-                    }
-                } catch (error) {
-                     if (error.message && (error.message.includes('Invalid PDF structure') || error.name === 'InvalidPDFException')) {
-                        reject(new Error('Invalid PDF structure. File may be corrupt or password-protected.'));
-                    } else if (error.message && error.message.includes('central directory')) {
-                        reject(new Error('Invalid DOCX file. The file may be corrupt.'));
-                    } else {
-                        reject(error);
-                    }
-                }
-            };
-            reader.onerror = (error) => reject(error);
-            reader.readAsArrayBuffer(file);
-        });
+    function normalizeAnalysis(result) {
+        // The model occasionally returns a comma-separated string, or nothing, where a list or number is expected.
+        const skills = Array.isArray(result.skills) ? result.skills : typeof result.skills === 'string' ? result.skills.split(',') : [];
+        const years = Number(result.totalExperienceYears);
+        return {
+            ...result,
+            skills: skills.map(skill => String(skill).trim()).filter(Boolean),
+            totalExperienceYears: Number.isFinite(years) ? years : 0
+        };
     }
 
-    async function analyzeCVWithAI(cvText) {
+    async function analyzeCVWithAI(cvText, signal) {
         const response = await fetch('/api/analyze-cv', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({ cvText: cvText }),
+            signal,
         });
 
         if (!response.ok) {
             const errorText = await response.text();
-            throw new Error(`Server error: ${response.status} ${errorText}`);
+            const error = new Error(`Server error: ${response.status} ${errorText}`);
+            error.status = response.status;
+            const retryAfter = Number(response.headers.get('Retry-After'));
+            if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+            throw error;
         }
         
         return await response.json();
     }
     
-    async function handleComparison() {
-        if (!jdText) {
+    async function handleComparison(candidates = processedCVs, { merge = false } = {}) {
+        if (jobDescriptions.length === 0) {
             alert("Please upload a job description first.");
             return;
         }
-        if (processedCVs.length === 0) {
+        if (candidates.length === 0) {
             alert("No CVs have been processed yet.");
             return;
         }
@@ -199,71 +309,248 @@ window.onload = () => {
         comparisonResultsContainer.innerHTML = `<div class="flex items-center justify-center p-4 text-slate-600"><div class="spinner mr-3"></div><span>Comparing candidates with AI... This may take a moment.</span></div>`;
 
         try {
-            const candidateProfilesText = processedCVs.map(cv => (
-                `Candidate: ${cv.name}\n` +
-                `Experience: ${cv.totalExperienceYears} years\n` +
-                `Skills: ${cv.skills.join(', ')}\n` +
-                `Summary: ${cv.summary}`
-            )).join('\n---\n');
+            const progressText = comparisonResultsContainer.querySelector('span');
+            comparisonTabs.classList.add('hidden');
 
-            const response = await fetch('/api/compare', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ 
-                    jdText: jdText,
-                    candidates: processedCVs
-                }),
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Server error: ${response.status} ${errorText}`);
+            for (const [roleIndex, jd] of jobDescriptions.entries()) {
+                const rubric = await getRubricCriteriaForJD(jd);
+                const results = await rankCandidatesForJD(jd, rubric, (done, total) => {
+                    const role = jobDescriptions.length > 1 ? `Role ${roleIndex + 1} of ${jobDescriptions.length} (${jd.name}): ` : '';
+                    progressText.textContent = `${role}Scoring candidates with AI... ${done} of ${total} done.`;
+                    announce(progressText.textContent);
+                }, candidates);
+                comparisonRuns[jd.id] = merge ? mergeComparisonResults(comparisonRuns[jd.id], results) : results;
             }
 
-            const results = await response.json();
-            renderComparisonResults(results);
+            activeComparisonView = 'matrix';
+            renderJobDescriptionList();
+            renderComparisonRuns();
+            persistSession();
+            announce(`Comparison finished: ${candidates.length} ${candidates.length === 1 ? 'candidate' : 'candidates'} ranked against ${jobDescriptions.length} ${jobDescriptions.length === 1 ? 'role' : 'roles'}.`);
 
         } catch (error) {
             console.error("Error during comparison:", error);
             comparisonResultsContainer.innerHTML = `<div class="text-center p-4 text-red-600">An error occurred during comparison: ${error.message}</div>`;
+            renderJobDescriptionList();
         } finally {
             compareBtn.disabled = false;
         }
     }
     
     function renderComparisonResults(results) {
+        lastComparisonResults = results;
         if (results.length === 0) {
             comparisonResultsContainer.innerHTML = `<div class="text-center p-4 text-slate-600">No matches found for this job description.</div>`;
             return;
         }
-        
-        let html = '<h3 class="text-lg font-bold text-slate-800 mb-4">Comparison Results</h3><div class="space-y-4">';
-        
-        results.forEach(result => {
-            const candidate = processedCVs.find(cv => cv.name === result.name);
-            const ringColor = result.score >= 80 ? '#22c55e' : result.score >= 50 ? '#3b82f6' : '#94a3b8';
-
-            html += `
-                <div class="comparison-card bg-slate-50 p-4 rounded-lg border border-slate-200 flex items-start space-x-4">
-                    <div class="score-ring-container flex-shrink-0">
-                        ${createScoreRing(result.score, ringColor)}
-                    </div>
-                    <div class="flex-grow">
-                        <h4 class="font-bold text-slate-800">${result.name}</h4>
-                        <p class="text-sm text-slate-600 mt-1">${result.justification}</p>
-                        ${candidate && candidate.skills.length > 0 ? `
-                        <div class="mt-2 flex flex-wrap gap-2">
-                            ${candidate.skills.slice(0, 5).map(skill => `<span class="skill-tag">${skill}</span>`).join('')}
-                        </div>` : ''}
+
+        rankingView.page = 1;
+        rankingView.expanded = new Set();
+
+        const filterInput = 'w-full text-sm p-2 border border-slate-300 rounded-md';
+        comparisonResultsContainer.innerHTML = `
+            <h3 class="text-lg font-bold text-slate-800 mb-4">Candidate Ranking</h3>
+            <div class="grid grid-cols-2 lg:grid-cols-4 gap-3 mb-4 items-end">
+                <div>
+                    <label for="ranking-min-score" class="block text-xs font-semibold text-slate-600 mb-1">Min score</label>
+                    <input type="number" id="ranking-min-score" min="0" max="100" class="${filterInput}" value="${rankingView.minScore}">
+                </div>
+                <div>
+                    <label for="ranking-exp-min" class="block text-xs font-semibold text-slate-600 mb-1">Experience (years)</label>
+                    <div class="flex gap-2">
+                        <input type="number" id="ranking-exp-min" min="0" placeholder="Min" class="${filterInput}" value="${rankingView.expMin}">
+                        <input type="number" id="ranking-exp-max" min="0" placeholder="Max" class="${filterInput}" value="${rankingView.expMax}">
                     </div>
                 </div>
-            `;
+                <div>
+                    <label for="ranking-skill" class="block text-xs font-semibold text-slate-600 mb-1">Skill contains</label>
+                    <input type="text" id="ranking-skill" class="${filterInput}" value="${escapeHtml(rankingView.skill)}">
+                </div>
+                <label class="flex items-center gap-2 text-sm text-slate-700 pb-2">
+                    <input type="checkbox" id="ranking-shortlisted-only" ${rankingView.shortlistedOnly ? 'checked' : ''}>
+                    Show only shortlisted
+                </label>
+            </div>
+            <div id="ranking-table-container"></div>
+        `;
+
+        const bindFilter = (id, key, read = el => el.value) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                rankingView[key] = read(e.target);
+                rankingView.page = 1;
+                renderRankingTable();
+            });
+        };
+        bindFilter('ranking-min-score', 'minScore');
+        bindFilter('ranking-exp-min', 'expMin');
+        bindFilter('ranking-exp-max', 'expMax');
+        bindFilter('ranking-skill', 'skill');
+        bindFilter('ranking-shortlisted-only', 'shortlistedOnly', el => el.checked);
+
+        document.getElementById('ranking-table-container').addEventListener('click', handleRankingTableClick);
+        renderRankingTable();
+    }
+
+    function findComparedCandidate(result) {
+        // Results saved before candidate IDs existed only carry a name.
+        return processedCVs.find(cv => result.candidateId ? cv.candidateId === result.candidateId : cv.name === result.name);
+    }
+
+    function getRankingRows() {
+        const skillQuery = rankingView.skill.trim().toLowerCase();
+        const rows = lastComparisonResults
+            .map((result, index) => ({ result, rank: index + 1, candidate: findComparedCandidate(result) }))
+            .filter(({ result, candidate }) => {
+                const years = candidate ? Number(candidate.totalExperienceYears) || 0 : 0;
+                if (rankingView.minScore !== '' && result.score < Number(rankingView.minScore)) return false;
+                if (rankingView.expMin !== '' && years < Number(rankingView.expMin)) return false;
+                if (rankingView.expMax !== '' && years > Number(rankingView.expMax)) return false;
+                if (skillQuery && !(candidate?.skills || []).some(skill => skill.toLowerCase().includes(skillQuery))) return false;
+                if (rankingView.shortlistedOnly && !candidate?.shortlisted) return false;
+                return true;
+            });
+
+        const sortValues = {
+            rank: row => row.rank,
+            name: row => getResultDisplayName(row.result).toLowerCase(),
+            score: row => row.result.score,
+            experience: row => Number(row.candidate?.totalExperienceYears) || 0,
+            discipline: row => (row.candidate?.discipline || '').toLowerCase(),
+            industry: row => (row.candidate?.industry || '').toLowerCase()
+        };
+        const getValue = sortValues[rankingView.sortKey];
+        const direction = rankingView.sortDir === 'asc' ? 1 : -1;
+        return rows.sort((a, b) => {
+            const x = getValue(a);
+            const y = getValue(b);
+            return (x < y ? -1 : x > y ? 1 : a.rank - b.rank) * direction;
         });
+    }
+
+    function renderRankingTable() {
+        const container = document.getElementById('ranking-table-container');
+        if (!container) return;
+
+        const rows = getRankingRows();
+        const pageCount = Math.max(1, Math.ceil(rows.length / RANKING_PAGE_SIZE));
+        rankingView.page = Math.min(rankingView.page, pageCount);
+        const start = (rankingView.page - 1) * RANKING_PAGE_SIZE;
+        const pageRows = rows.slice(start, start + RANKING_PAGE_SIZE);
+
+        const header = (key, label) => {
+            const arrow = rankingView.sortKey === key ? (rankingView.sortDir === 'asc' ? ' &uarr;' : ' &darr;') : '';
+            return `<th class="p-2"><button class="ranking-sort-btn font-semibold hover:text-indigo-700" data-sort-key="${key}">${label}${arrow}</button></th>`;
+        };
+
+        container.innerHTML = `
+            <div class="overflow-x-auto border border-slate-200 rounded-lg">
+                <table class="w-full text-sm text-left">
+                    <thead class="bg-slate-50 text-xs text-slate-600">
+                        <tr>
+                            <th class="p-2 w-8"></th>
+                            ${header('rank', '#')}
+                            ${header('name', 'Candidate')}
+                            ${header('score', 'Score')}
+                            ${header('experience', 'Exp (Yrs)')}
+                            ${header('discipline', 'Discipline')}
+                            ${header('industry', 'Industry')}
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-slate-200">
+                        ${pageRows.length ? pageRows.map(renderRankingRow).join('') : `<tr><td colspan="7" class="p-4 text-center text-slate-500">No candidates match these filters.</td></tr>`}
+                    </tbody>
+                </table>
+            </div>
+            <div class="mt-3 flex items-center justify-between text-xs text-slate-600">
+                <span>${rows.length ? `Showing ${start + 1}&ndash;${start + pageRows.length} of ${rows.length}` : ''}${rows.length !== lastComparisonResults.length ? ` (filtered from ${lastComparisonResults.length})` : ''}</span>
+                <div class="flex items-center gap-2">
+                    <button class="ranking-page-btn py-1 px-3 rounded-md border border-slate-200 hover:bg-slate-100 disabled:text-slate-400 disabled:cursor-not-allowed" data-page="${rankingView.page - 1}" ${rankingView.page <= 1 ? 'disabled' : ''}>Previous</button>
+                    <span>Page ${rankingView.page} of ${pageCount}</span>
+                    <button class="ranking-page-btn py-1 px-3 rounded-md border border-slate-200 hover:bg-slate-100 disabled:text-slate-400 disabled:cursor-not-allowed" data-page="${rankingView.page + 1}" ${rankingView.page >= pageCount ? 'disabled' : ''}>Next</button>
+                </div>
+            </div>
+        `;
+    }
+
+    function renderRankingRow({ result, rank, candidate }) {
+        const key = result.candidateId || result.name;
+        const expanded = rankingView.expanded.has(key);
+        const scoreClass = result.gatePassed === false ? 'bg-red-100 text-red-700' : result.score >= 80 ? 'bg-green-100 text-green-700' : result.score >= 50 ? 'bg-blue-100 text-blue-700' : 'bg-slate-100 text-slate-600';
+
+        return `
+            <tr class="ranking-row hover:bg-slate-50 cursor-pointer" data-result-key="${escapeHtml(key)}">
+                <td class="p-2 text-center">
+                    ${candidate ? `<button class="shortlist-toggle-btn text-lg leading-none ${candidate.shortlisted ? 'text-amber-500' : 'text-slate-300 hover:text-amber-400'}" data-candidate-id="${candidate.candidateId}" title="${candidate.shortlisted ? 'Remove from shortlist' : 'Add to shortlist'}">${candidate.shortlisted ? '&#9733;' : '&#9734;'}</button>` : ''}
+                </td>
+                <td class="p-2 text-slate-500">${rank}</td>
+                <td class="p-2 font-semibold text-slate-800">${escapeHtml(getResultDisplayName(result))}</td>
+                <td class="p-2">
+                    <span class="inline-block py-0.5 px-2 rounded-full text-xs font-bold ${scoreClass}">${result.score}</span>
+                    ${result.gatePassed === false ? '<span class="ml-1 text-xs font-semibold text-red-600">Gate</span>' : ''}
+                </td>
+                <td class="p-2">${candidate ? candidate.totalExperienceYears ?? 0 : 'N/A'}</td>
+                <td class="p-2">${escapeHtml(candidate?.discipline || 'N/A')}</td>
+                <td class="p-2">${escapeHtml(candidate?.industry || 'N/A')}</td>
+            </tr>
+            ${expanded ? `<tr><td colspan="7" class="p-2">${renderComparisonDetail(result, candidate)}</td></tr>` : ''}
+        `;
+    }
+
+    function renderComparisonDetail(result, candidate) {
+        const ringColor = result.gatePassed === false ? '#ef4444' : result.score >= 80 ? '#22c55e' : result.score >= 50 ? '#3b82f6' : '#94a3b8';
+        return `
+            <div class="comparison-card bg-slate-50 p-4 rounded-lg border ${result.gatePassed === false ? 'border-red-200' : 'border-slate-200'} flex items-start space-x-4">
+                <div class="score-ring-container flex-shrink-0">
+                    ${createScoreRing(result.score, ringColor)}
+                </div>
+                <div class="flex-grow">
+                    <h4 class="font-bold text-slate-800">${escapeHtml(getResultDisplayName(result))}</h4>
+                    <p class="text-sm text-slate-600 mt-1">${escapeHtml(blindText(result.justification, candidate))}</p>
+                    ${result.criteria ? renderCriteriaBreakdown(result) : ''}
+                    ${candidate && (candidate.skills || []).length > 0 ? `
+                    <div class="mt-2 flex flex-wrap gap-2">
+                        ${candidate.skills.slice(0, 5).map(skill => `<span class="skill-tag">${escapeHtml(skill)}</span>`).join('')}
+                    </div>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    function handleRankingTableClick(e) {
+        const sortBtn = e.target.closest('.ranking-sort-btn');
+        if (sortBtn) {
+            const key = sortBtn.dataset.sortKey;
+            // Text columns read best A-Z, numeric ones best-first.
+            rankingView.sortDir = rankingView.sortKey === key
+                ? (rankingView.sortDir === 'asc' ? 'desc' : 'asc')
+                : (['rank', 'name', 'discipline', 'industry'].includes(key) ? 'asc' : 'desc');
+            rankingView.sortKey = key;
+            renderRankingTable();
+            return;
+        }
+
+        const shortlistBtn = e.target.closest('.shortlist-toggle-btn');
+        if (shortlistBtn) {
+            const cv = processedCVs.find(c => c.candidateId === shortlistBtn.dataset.candidateId);
+            // Un-starring steps the candidate back to Screened, so the star and the pipeline stage stay in step.
+            if (cv) updateCandidateStage(cv, cv.shortlisted ? 'Screened' : 'Shortlisted');
+            return;
+        }
+
+        const pageBtn = e.target.closest('.ranking-page-btn');
+        if (pageBtn) {
+            rankingView.page = Number(pageBtn.dataset.page);
+            renderRankingTable();
+            return;
+        }
 
-        html += '</div>';
-        comparisonResultsContainer.innerHTML = html;
+        const row = e.target.closest('.ranking-row');
+        if (row) {
+            const key = row.dataset.resultKey;
+            if (rankingView.expanded.has(key)) rankingView.expanded.delete(key);
+            else rankingView.expanded.add(key);
+            renderRankingTable();
+        }
     }
 
     function createScoreRing(score, color) {
@@ -289,46 +576,31 @@ window.onload = () => {
         `;
     }
 
-    function downloadExcel() {
-        if (processedCVs.length === 0) return;
-        
-        const dataForSheet = processedCVs.map(cv => ({
-            "Name": cv.name || 'N/A',
-            "Experience (Yrs)": cv.totalExperienceYears ?? 0,
-            "Companies": cv.companies || 'N/A',
-            "Education": cv.education || 'N/A',
-            "Discipline": cv.discipline || 'N/A',
-            "Industry": cv.industry || 'N/A',
-            "Skills": cv.skills.join(', ') || 'N/A',
-            "Summary": cv.summary || 'N/A',
-            "Source File": cv.filename || 'N/A'
-        }));
-
-        const worksheet = XLSX.utils.json_to_sheet(dataForSheet);
-        const workbook = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(workbook, worksheet, "CV Analysis Results");
-
-        if (dataForSheet.length > 0) {
-            const headers = Object.keys(dataForSheet[0]);
-            const colWidths = headers.map(header => {
-                const lengths = dataForSheet.map(row => {
-                    const value = row[header];
-                    return value != null ? String(value).length : 0;
-                });
-                lengths.push(header.length);
-                const maxWidth = Math.max(...lengths);
-                return { wch: maxWidth + 2 };
-            });
-            worksheet["!cols"] = colWidths;
-        }
-
-        XLSX.writeFile(workbook, "SIL_CV_Analysis_Report.xlsx");
-    }
-    
     function resetState() {
+        // Abort in-flight work without touching its stored queue entries, so the old session stays resumable.
+        jobQueue.forEach(job => job.controller.abort());
+        jobQueue = [];
+        queuePaused = false;
+        queueDurations = [];
+        updateQueueControls();
         processedCVs = [];
+        sessionFiles = [];
+        lastComparisonResults = [];
+        dismissedDuplicates = [];
+        skippedFiles = [];
+        selectedCandidateIds.clear();
+        candidateSearch = null;
+        candidateSearchInput.value = '';
+        renderSkippedFiles();
+        currentSession = createSession();
+        currentSessionName.textContent = currentSession.name;
         statusTableBody.innerHTML = '';
         candidateGrid.innerHTML = '';
+        pipelineBoard.innerHTML = '';
+        analyticsDashboard.innerHTML = '';
+        gridFilter = null;
+        analyticsJdId = null;
+        renderGridFilterBanner(0);
         welcomeScreen.classList.remove('hidden');
         resultsDashboard.classList.add('hidden');
         downloadBtn.disabled = true;
@@ -337,21 +609,44 @@ window.onload = () => {
         processingSection.classList.add('hidden');
         jdUploadInput.value = '';
         jdFileName.textContent = '';
-        jdText = '';
-        comparisonResultsContainer.innerHTML = '';
+        jobDescriptions = [];
+        comparisonRuns = {};
+        activeComparisonView = 'matrix';
+        renderJobDescriptionList();
+        renderComparisonRuns();
+        renderSessionList();
     }
     
+    function renderSkippedFiles() {
+        skippedFilesSection.classList.toggle('hidden', skippedFiles.length === 0);
+        skippedFilesCount.textContent = skippedFiles.length;
+        skippedFilesList.innerHTML = skippedFiles.map(file => `
+            <tr>
+                <td class="p-2 truncate max-w-[10rem]" title="${escapeHtml(file.path)}">${escapeHtml(file.filename)}</td>
+                <td class="p-2 text-xs text-slate-500">${escapeHtml(file.reason)}</td>
+            </tr>
+        `).join('');
+    }
+
     function addStatusRow(fileName, statusText, type = 'pending') {
          const row = document.createElement('tr');
-         row.id = `status-${fileName.replace(/[^a-zA-Z0-9]/g, '')}`;
-         row.innerHTML = `<td class="p-2 truncate" title="${fileName}">${fileName.substring(0,25)}${fileName.length > 25 ? '...' : ''}</td><td class="p-2 status-cell w-36"></td>`;
+         row.id = getStatusRowId(fileName);
+         // Long paths are cut from the front so the file name itself stays visible.
+         row.innerHTML = `<td class="p-2 truncate" title="${escapeHtml(fileName)}">${fileName.length > 25 ? '...' : ''}${escapeHtml(fileName.slice(-25))}</td><td class="p-2 status-cell w-36"></td>`;
          statusTableBody.appendChild(row);
          updateStatus(fileName, statusText, type);
     }
 
+    // Spoken and tooltip names for the status icons, which otherwise differ only in colour and shape.
+    const STATUS_LABELS = { processing: 'In progress', analyzing: 'Analysing', ocr: 'Running OCR', error: 'Failed', success: 'Done', pending: 'Waiting' };
+
+    function getStatusRowId(fileName) {
+        // Every character outside [a-zA-Z0-9] is hex-encoded (including "_"), so "cv-1.pdf" and "cv_1.pdf" get different rows.
+        return `status-${Array.from(fileName, ch => /[a-zA-Z0-9]/.test(ch) ? ch : `_${ch.codePointAt(0).toString(16)}_`).join('')}`;
+    }
+
     function updateStatus(fileName, statusText, type) {
-        const rowId = `status-${fileName.replace(/[^a-zA-Z0-9]/g, '')}`;
-        const row = document.getElementById(rowId);
+        const row = document.getElementById(getStatusRowId(fileName));
         if (!row) return;
 
         const statusCell = row.querySelector('.status-cell');
@@ -363,101 +658,3903 @@ window.onload = () => {
         switch(type) {
             case 'processing': statusIcon = `<div class="spinner mr-2"></div>`; textColor = 'text-blue-600'; break;
             case 'analyzing': statusIcon = `<div class="pulse-dot mr-2"></div>`; textColor = 'text-indigo-600'; break;
+            case 'ocr': statusIcon = `<div class="spinner spinner-ocr mr-2"></div>`; textColor = 'text-amber-600'; break;
             case 'error': statusIcon = `<svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 mr-2 text-red-500" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clip-rule="evenodd" /></svg>`; textColor = 'text-red-600'; break;
             case 'success': statusIcon = `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5 mr-1.5 text-green-500" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clip-rule="evenodd" /></svg>`; textColor = 'text-green-600'; break;
             case 'pending': default: statusIcon = `<svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 mr-2 text-slate-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2"><path stroke-linecap="round" stroke-linejoin="round" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>`;
         }
         
-        statusCell.innerHTML = `<div class="flex items-center text-xs font-medium ${textColor}">${statusIcon} <span>${statusText}</span></div>`;
+        const label = STATUS_LABELS[type] || STATUS_LABELS.pending;
+        statusCell.innerHTML = `<div class="flex items-center text-xs font-medium ${textColor}"><span class="flex" role="img" aria-label="${label}" title="${label}">${statusIcon}</span> <span>${escapeHtml(statusText)}</span></div>`;
     }
     
     function renderCandidateCards() {
+        // Re-rendering replaces every card, so note what had focus in the grid and put it back afterwards.
+        const focusedCard = candidateGrid.contains(document.activeElement) ? document.activeElement.closest('.candidate-card') : null;
+        const refocus = focusedCard && { id: focusedCard.dataset.candidateId, checkbox: document.activeElement.classList.contains('candidate-select') };
         candidateGrid.innerHTML = ''; 
-        processedCVs.forEach(cv => {
+        selectedCandidateIds = new Set([...selectedCandidateIds].filter(id => processedCVs.some(cv => cv.candidateId === id)));
+        const duplicatePairs = findDuplicatePairs();
+        const duplicateIds = new Set(duplicatePairs.flatMap(pair => [pair.a.candidateId, pair.b.candidateId]));
+        renderDuplicateBanner(duplicatePairs);
+
+        const visibleCVs = getVisibleCVs();
+        renderGridFilterBanner(visibleCVs.length);
+        renderSearchStatus(visibleCVs.length);
+
+        visibleCVs.forEach(cv => {
+            const selected = selectedCandidateIds.has(cv.candidateId);
             const card = document.createElement('div');
-            card.className = 'candidate-card bg-white p-5 rounded-xl shadow-sm border border-slate-200 flex flex-col';
+            card.className = `candidate-card bg-white p-5 rounded-xl shadow-sm border border-slate-200 flex flex-col focus:outline-none focus:ring-2 focus:ring-indigo-500 ${selected ? 'ring-2 ring-indigo-500' : ''}`;
+            card.tabIndex = -1;
+            card.dataset.candidateId = cv.candidateId;
+            card.setAttribute('role', 'listitem');
+            card.setAttribute('aria-label', `${getDisplayName(cv)}, ${cv.discipline || 'discipline unknown'}, ${cv.totalExperienceYears ?? 0} years experience, stage ${cv.stage}${cv.rating ? `, rated ${cv.rating} of ${MAX_RATING}` : ''}${duplicateIds.has(cv.candidateId) ? ', possible duplicate' : ''}${selected ? ', selected' : ''}`);
             card.innerHTML = `
                 <div class="flex-grow">
-                    <h3 class="font-bold text-lg text-slate-800">${cv.name || 'N/A'}</h3>
-                    <p class="text-sm text-slate-500 font-medium">${cv.discipline} &bull; ${cv.totalExperienceYears ?? '0'} Yrs Exp</p>
+                    ${duplicateIds.has(cv.candidateId) ? '<span class="duplicate-badge">Possible duplicate</span>' : ''}
+                    ${cv.ocr ? `<span class="ocr-badge" title="${escapeHtml(describeOcr(cv.ocr))}">OCR</span>` : ''}
+                    <div class="flex items-start justify-between gap-2">
+                        <div class="flex items-start gap-2">
+                            <input type="checkbox" class="candidate-select mt-1.5" data-candidate-id="${cv.candidateId}" aria-label="Select ${escapeHtml(getDisplayName(cv))}" ${selected ? 'checked' : ''}>
+                            <h3 class="font-bold text-lg text-slate-800">${escapeHtml(getDisplayName(cv))}</h3>
+                        </div>
+                        <span class="stage-badge stage-${cv.stage.toLowerCase()}">${cv.stage}</span>
+                    </div>
+                    <p class="text-sm text-slate-500 font-medium">${escapeHtml(cv.discipline || 'N/A')} &bull; ${cv.totalExperienceYears ?? '0'} Yrs Exp${cv.rating ? ` &bull; <span class="text-amber-500" role="img" aria-label="Rated ${cv.rating} of ${MAX_RATING}" title="${cv.rating} of ${MAX_RATING}">${renderStars(cv.rating)}</span>` : ''}</p>
+                    ${cv.tags.length ? `<div class="mt-2 flex flex-wrap gap-1">${renderCandidateTags(cv)}</div>` : ''}
+                    ${candidateSearch ? `<p class="search-snippet mt-3 text-xs text-slate-600">${renderSearchSnippet(cv)}</p>` : ''}
                     <div class="mt-4 flex flex-wrap gap-2">
-                        ${cv.skills && cv.skills.length > 0 ? cv.skills.slice(0, 5).map(skill => `<span class="skill-tag">${skill}</span>`).join('') : '<span class="text-sm text-slate-400">No skills extracted.</span>'}
+                        ${cv.skills && cv.skills.length > 0 ? cv.skills.slice(0, 5).map(skill => `<span class="skill-tag">${escapeHtml(skill)}</span>`).join('') : '<span class="text-sm text-slate-400">No skills extracted.</span>'}
                     </div>
                 </div>
                 <div class="mt-5 text-right flex-shrink-0">
-                    <button data-filename="${cv.filename}" class="view-details-btn text-sm font-semibold text-indigo-600 hover:text-indigo-800 transition-colors">View Details &rarr;</button>
+                    <button data-candidate-id="${cv.candidateId}" class="view-details-btn text-sm font-semibold text-indigo-600 hover:text-indigo-800 transition-colors">View Details &rarr;</button>
                 </div>
             `;
             candidateGrid.appendChild(card);
         });
 
+        const tabStop = candidateGrid.querySelector(`.candidate-card[data-candidate-id="${gridFocusId}"]`) || candidateGrid.querySelector('.candidate-card');
+        if (tabStop) tabStop.tabIndex = 0;
+        const refocusCard = refocus && candidateGrid.querySelector(`.candidate-card[data-candidate-id="${refocus.id}"]`);
+        if (refocusCard) (refocus.checkbox ? refocusCard.querySelector('.candidate-select') : refocusCard).focus();
+        renderBulkActions();
+        renderPipelineBoard();
+        if (candidateView === 'analytics') renderAnalyticsDashboard();
+
         document.querySelectorAll('.view-details-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                const filename = e.currentTarget.dataset.filename;
-                showCandidateModal(filename);
+                const candidateId = e.currentTarget.dataset.candidateId;
+                showCandidateModal(candidateId);
             });
         });
     }
 
-    function showCandidateModal(filename) {
-        if (!filename) return;
-        const cv = processedCVs.find(c => c.filename === filename);
+    function showCandidateModal(candidateId) {
+        if (!candidateId) return;
+        const cv = processedCVs.find(c => c.candidateId === candidateId);
         if (!cv) return;
 
-        modalName.textContent = cv.name;
+        modalName.textContent = getDisplayName(cv);
+        previewSourceText = null;
+        // The original document can show the candidate's name and photo, so blind review leaves it out.
+        if (privacySettings.blindReview) {
+            modalBody.innerHTML = `<div id="candidate-fields" class="space-y-4"></div>`;
+            renderCandidateFields(cv);
+            openModal(candidateId);
+            return;
+        }
+
+        modalContent.classList.replace('max-w-2xl', 'max-w-6xl');
         modalBody.innerHTML = `
-            <div class="space-y-4">
-                <div>
-                    <h4 class="font-semibold text-slate-600 text-sm">Summary</h4>
-                    <p class="text-slate-800">${cv.summary || 'N/A'}</p>
-                </div>
-                 <div>
-                    <h4 class="font-semibold text-slate-600 text-sm">Key Skills</h4>
-                     <div class="mt-1 flex flex-wrap gap-2">
-                        ${cv.skills && cv.skills.length > 0 ? cv.skills.map(skill => `<span class="skill-tag">${skill}</span>`).join('') : '<p class="text-slate-800">N/A</p>'}
-                    </div>
-                </div>
-                <div class="grid grid-cols-2 gap-4 pt-2">
-                    <div>
-                        <h4 class="font-semibold text-slate-600 text-sm">Total Experience</h4>
-                        <p class="text-slate-800">${cv.totalExperienceYears} years</p>
-                    </div>
-                    <div>
-                        <h4 class="font-semibold text-slate-600 text-sm">Education</h4>
-                        <p class="text-slate-800">${cv.education || 'N/A'}</p>
+            <div class="grid lg:grid-cols-2 gap-6">
+                <div id="candidate-fields" class="space-y-4"></div>
+                <div class="flex flex-col">
+                    <div class="flex items-center justify-between gap-2">
+                        <h4 class="font-semibold text-slate-600 text-sm">Original Document</h4>
+                        <select id="source-preview-picker" class="hidden text-xs border border-slate-300 rounded-md py-1 px-2"></select>
                     </div>
-                    <div>
-                        <h4 class="font-semibold text-slate-600 text-sm">Primary Industry</h4>
-                        <p class="text-slate-800">${cv.industry || 'N/A'}</p>
-                    </div>
-                     <div>
-                        <h4 class="font-semibold text-slate-600 text-sm">Recent Companies</h4>
-                        <p class="text-slate-800">${cv.companies || 'N/A'}</p>
+                    <p class="text-xs text-slate-500">Click a skill, company, education entry or the experience figure to find it in the original.</p>
+                    <div id="source-preview" class="mt-2 max-h-[70vh] overflow-y-auto rounded-lg bg-slate-100 p-2">
+                        <p class="p-4 text-sm text-slate-500">Loading preview&hellip;</p>
                     </div>
                 </div>
-                 <div>
-                    <h4 class="font-semibold text-slate-600 text-sm">Source File</h4>
-                    <p class="text-slate-800 font-mono text-xs">${cv.filename}</p>
-                </div>
             </div>
         `;
+        renderCandidateFields(cv);
 
-        modalContainer.classList.remove('hidden');
-        modalContainer.classList.add('flex');
+        openModal(candidateId);
+        renderSourcePreview(cv);
+    }
+
+    function renderCandidateFields(cv) {
+        const container = document.getElementById('candidate-fields');
+        if (!container) return;
+
+        container.innerHTML = `
+            ${cv.ocr ? `<div class="p-3 rounded-lg border border-amber-200 bg-amber-50 text-sm text-amber-800">${escapeHtml(describeOcr(cv.ocr))}</div>` : ''}
+            ${cv.pii && Object.keys(cv.pii).length ? `<div class="p-3 rounded-lg border border-sky-200 bg-sky-50 text-sm text-sky-800">Masked before AI analysis: ${escapeHtml(describeRedactions(cv.pii))}.</div>` : ''}
+            <div id="pipeline-editor" class="p-3 rounded-lg border border-slate-200 bg-slate-50"></div>
+            ${privacySettings.blindReview ? '' : renderEditableField(cv, 'name', `<p class="text-slate-800">${escapeHtml(cv.name || 'N/A')}</p>`)}
+            ${renderEditableField(cv, 'summary', `<p class="text-slate-800">${escapeHtml(blindText(cv.summary, cv) || 'N/A')}</p>`)}
+            ${renderEditableField(cv, 'skills', renderSourceTerms(cv.skills || [], 'skill-tag'))}
+            <div class="grid grid-cols-2 gap-4 pt-2">
+                ${renderEditableField(cv, 'totalExperienceYears', `<p class="text-slate-800"><button class="source-term" data-term-type="experience" data-years="${cv.totalExperienceYears ?? ''}" data-term="">${cv.totalExperienceYears ?? 0} years</button></p>`)}
+                ${renderEditableField(cv, 'education', renderSourceTerms(splitFieldEntries(cv.education), 'source-entry'))}
+                ${renderEditableField(cv, 'discipline', `<p class="text-slate-800">${escapeHtml(cv.discipline || 'N/A')}</p>`)}
+                ${renderEditableField(cv, 'industry', `<p class="text-slate-800">${escapeHtml(cv.industry || 'N/A')}</p>`)}
+                ${renderEditableField(cv, 'companies', renderSourceTerms(splitFieldEntries(cv.companies), 'source-entry'))}
+            </div>
+            ${privacySettings.blindReview ? '' : `
+             <div>
+                <h4 class="font-semibold text-slate-600 text-sm">Source File</h4>
+                <p class="text-slate-800 font-mono text-xs">${escapeHtml(getSourceFiles(cv).join(', '))}</p>
+            </div>`}
+        `;
+
+        renderPipelineEditor(cv);
+        container.querySelectorAll('.source-term').forEach(btn => {
+            btn.addEventListener('click', (e) => highlightSourceTerm(e.currentTarget.dataset.term));
+        });
+        container.querySelectorAll('.field-edit-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => startFieldEdit(cv, e.currentTarget.dataset.field));
+        });
+        container.querySelectorAll('.field-history-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => toggleFieldHistory(cv, e.currentTarget.dataset.field));
+        });
+        if (previewSourceText !== null) markUnverifiedTerms(previewSourceText);
     }
 
     function hideCandidateModal() {
+        const wasOpen = !modalContainer.classList.contains('hidden');
         modalContainer.classList.add('hidden');
         modalContainer.classList.remove('flex');
+        modalContent.classList.replace('max-w-6xl', 'max-w-2xl');
+        // Abandon any preview still rendering for the candidate that was just closed.
+        previewToken++;
+        if (wasOpen) restoreModalFocus();
     }
 
-    // --- Event Listeners ---
-    folderInput.addEventListener('change', handleFolderSelect);
-    jdUploadInput.addEventListener('change', handleJDFileSelect);
-    downloadBtn.addEventListener('click', downloadExcel);
-    compareBtn.addEventListener('click', handleComparison);
-    modalCloseBtn.addEventListener('click', hideCandidateModal);
-    modalContainer.addEventListener('click', (e) => {
-        if (e.target === modalContainer) hideCandidateModal();
-    });
+    // --- Keyboard Navigation ---
+    const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+    function openModal(candidateId = null) {
+        // Only remember the opener the first time, so J/K or a follow-up dialog still returns focus to where the user started.
+        if (modalContainer.classList.contains('hidden')) modalReturnFocus = document.activeElement;
+        modalCandidateId = candidateId;
+        modalShortcuts.classList.toggle('hidden', !candidateId);
+        modalContainer.classList.remove('hidden');
+        modalContainer.classList.add('flex');
+        if (!modalContent.contains(document.activeElement)) modalCloseBtn.focus();
+    }
+
+    function restoreModalFocus() {
+        // Cards are re-rendered on every edit, so return to the card for the candidate last shown rather than a detached node.
+        const card = modalCandidateId && candidateGrid.querySelector(`.candidate-card[data-candidate-id="${modalCandidateId}"]`);
+        const target = card && (!modalReturnFocus || !modalReturnFocus.isConnected || candidateGrid.contains(modalReturnFocus)) ? card : modalReturnFocus;
+        modalCandidateId = null;
+        modalReturnFocus = null;
+        if (target && target.isConnected) target.focus();
+    }
+
+    function isTypingTarget(element) {
+        return Boolean(element.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+
+    function handleModalKeydown(e) {
+        if (modalContainer.classList.contains('hidden')) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            hideCandidateModal();
+            return;
+        }
+
+        if (e.key === 'Tab') {
+            const focusable = Array.from(modalContent.querySelectorAll(FOCUSABLE_SELECTOR)).filter(el => !el.closest('.hidden'));
+            if (!focusable.length) return;
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && (document.activeElement === first || !modalContent.contains(document.activeElement))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !modalContent.contains(document.activeElement))) {
+                e.preventDefault();
+                first.focus();
+            }
+            return;
+        }
+
+        if (!modalCandidateId || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+        const key = e.key.toLowerCase();
+        if (key === 'j' || key === 'k') {
+            e.preventDefault();
+            stepCandidateModal(key === 'j' ? 1 : -1);
+        }
+    }
+
+    function stepCandidateModal(direction) {
+        const candidates = getVisibleCVs();
+        const index = candidates.findIndex(cv => cv.candidateId === modalCandidateId);
+        const next = candidates[index + direction];
+        if (index === -1 || !next) {
+            announce(direction > 0 ? "This is the last candidate." : "This is the first candidate.");
+            return;
+        }
+        showCandidateModal(next.candidateId);
+        announce(`${getDisplayName(next)}, candidate ${index + direction + 1} of ${candidates.length}.`);
+    }
+
+    function handleGridKeydown(e) {
+        const card = e.target.closest('.candidate-card');
+        // Keys pressed on the card's own buttons and checkbox keep their default behaviour.
+        if (!card || e.target !== card) return;
+
+        const cards = Array.from(candidateGrid.querySelectorAll('.candidate-card'));
+        const index = cards.indexOf(card);
+        const columns = cards.filter(c => c.offsetTop === cards[0].offsetTop).length || 1;
+        const moves = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns, Home: -index, End: cards.length - 1 - index };
+
+        if (e.key in moves) {
+            e.preventDefault();
+            cards[Math.min(cards.length - 1, Math.max(0, index + moves[e.key]))].focus();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            showCandidateModal(card.dataset.candidateId);
+        } else if (e.key === ' ') {
+            e.preventDefault();
+            toggleCandidateSelection(card.dataset.candidateId);
+        }
+    }
+
+    function handleGridFocus(e) {
+        const card = e.target.closest('.candidate-card');
+        if (!card) return;
+        // Roving tabindex: only one card is a Tab stop, so Tab leaves the grid instead of walking every card.
+        gridFocusId = card.dataset.candidateId;
+        candidateGrid.querySelectorAll('.candidate-card').forEach(c => { c.tabIndex = c === card ? 0 : -1; });
+    }
+
+    function announce(message) {
+        // Clearing first makes screen readers repeat a message that happens to match the previous one.
+        liveRegion.textContent = '';
+        setTimeout(() => { liveRegion.textContent = message; }, 50);
+    }
+
+    // --- Bulk Actions ---
+    function getSelectedCVs() {
+        return processedCVs.filter(cv => selectedCandidateIds.has(cv.candidateId));
+    }
+
+    function toggleCandidateSelection(candidateId, selected = !selectedCandidateIds.has(candidateId)) {
+        if (selected) selectedCandidateIds.add(candidateId);
+        else selectedCandidateIds.delete(candidateId);
+        renderCandidateCards();
+        const cv = processedCVs.find(c => c.candidateId === candidateId);
+        announce(`${getDisplayName(cv)} ${selected ? 'selected' : 'deselected'}. ${selectedCandidateIds.size} selected.`);
+    }
+
+    function renderBulkActions() {
+        const count = selectedCandidateIds.size;
+        bulkActions.classList.toggle('hidden', count === 0);
+        bulkSelectionCount.textContent = `${count} ${count === 1 ? 'candidate' : 'candidates'} selected`;
+        bulkSelectAllBtn.textContent = `Select all (${getVisibleCVs().length})`;
+    }
+
+    function selectAllVisible() {
+        getVisibleCVs().forEach(cv => selectedCandidateIds.add(cv.candidateId));
+        renderCandidateCards();
+        announce(`${selectedCandidateIds.size} candidates selected.`);
+    }
+
+    function clearSelection() {
+        selectedCandidateIds.clear();
+        renderCandidateCards();
+        announce("Selection cleared.");
+    }
+
+    function shortlistSelected() {
+        // Rejected candidates stay rejected; they can still be moved one at a time from the pipeline board.
+        const selected = getSelectedCVs();
+        const shortlisted = selected.filter(cv => cv.stage !== 'Rejected');
+        const rejectedCount = selected.length - shortlisted.length;
+        // Candidates already at Interview or Offer keep their stage; everyone else moves to Shortlisted.
+        shortlisted.forEach(cv => setCandidateStage(cv, SHORTLIST_STAGES.includes(cv.stage) ? cv.stage : 'Shortlisted'));
+        renderCandidateCards();
+        if (lastComparisonResults.length > 0) renderRankingTable();
+        persistSession();
+        const skipped = rejectedCount ? ` ${rejectedCount} rejected ${rejectedCount === 1 ? 'candidate was' : 'candidates were'} left as is.` : '';
+        announce(`${shortlisted.length} ${shortlisted.length === 1 ? 'candidate' : 'candidates'} shortlisted.${skipped}`);
+    }
+
+    function compareSelected() {
+        const selected = getSelectedCVs();
+        if (!selected.length) return;
+        handleComparison(selected, { merge: true });
+    }
+
+    async function removeSelected() {
+        const selected = getSelectedCVs();
+        if (!selected.length || !confirm(`Remove ${selected.length} ${selected.length === 1 ? 'candidate' : 'candidates'} from this session? Their results and rankings will be deleted.`)) return;
+
+        const ids = new Set(selected.map(cv => cv.candidateId));
+        processedCVs = processedCVs.filter(cv => !ids.has(cv.candidateId));
+        Object.keys(comparisonRuns).forEach(id => {
+            comparisonRuns[id] = comparisonRuns[id].filter(result => !ids.has(result.candidateId));
+        });
+        selectedCandidateIds.clear();
+        renderCandidateCards();
+        renderComparisonRuns();
+        announce(`${ids.size} ${ids.size === 1 ? 'candidate' : 'candidates'} removed.`);
+
+        await persistSession();
+        const sourceIds = selected.flatMap(cv => [cv.candidateId, ...(cv.mergedCandidateIds || [])]);
+        deleteOrphanedSources(sourceIds).catch(error => console.error("Could not delete source documents:", error));
+    }
+
+    function exportSelected() {
+        exportOptions.scope = 'selected';
+        showExportDialog();
+    }
+
+    // --- Pool Analytics ---
+    const EXPERIENCE_BUCKETS = [
+        { label: '0-1', min: 0, max: 1 },
+        { label: '1-3', min: 1, max: 3 },
+        { label: '3-5', min: 3, max: 5 },
+        { label: '5-10', min: 5, max: 10 },
+        { label: '10-15', min: 10, max: 15 },
+        { label: '15+', min: 15, max: Infinity }
+    ];
+    const ANALYTICS_TOP_SKILLS = 20;
+    const ANALYTICS_MAX_CATEGORIES = 12;
+    const SKILL_GAP_THRESHOLD = 0.2;
+    // Keys are lower-case spellings the AI commonly returns; values are the name shown and counted.
+    const SKILL_SYNONYMS = {
+        'js': 'JavaScript', 'javascript': 'JavaScript', 'ecmascript': 'JavaScript',
+        'ts': 'TypeScript', 'typescript': 'TypeScript',
+        'node': 'Node.js', 'nodejs': 'Node.js', 'node.js': 'Node.js',
+        'react': 'React', 'reactjs': 'React', 'react.js': 'React',
+        'vue': 'Vue', 'vuejs': 'Vue', 'vue.js': 'Vue',
+        'angular': 'Angular', 'angularjs': 'Angular', 'angular.js': 'Angular',
+        'py': 'Python', 'python': 'Python', 'python3': 'Python',
+        'golang': 'Go', 'go': 'Go',
+        'c#': 'C#', 'csharp': 'C#', 'c sharp': 'C#',
+        'c++': 'C++', 'cpp': 'C++',
+        'k8s': 'Kubernetes', 'kubernetes': 'Kubernetes',
+        'postgres': 'PostgreSQL', 'postgresql': 'PostgreSQL', 'psql': 'PostgreSQL',
+        'mssql': 'SQL Server', 'sql server': 'SQL Server', 'ms sql': 'SQL Server',
+        'aws': 'AWS', 'amazon web services': 'AWS',
+        'gcp': 'GCP', 'google cloud': 'GCP', 'google cloud platform': 'GCP',
+        'azure': 'Azure', 'microsoft azure': 'Azure',
+        'ml': 'Machine Learning', 'machine learning': 'Machine Learning',
+        'ai': 'Artificial Intelligence', 'artificial intelligence': 'Artificial Intelligence',
+        'nlp': 'NLP', 'natural language processing': 'NLP',
+        'ci/cd': 'CI/CD', 'cicd': 'CI/CD', 'ci cd': 'CI/CD',
+        'excel': 'Excel', 'ms excel': 'Excel', 'microsoft excel': 'Excel',
+        'autocad': 'AutoCAD', 'auto cad': 'AutoCAD',
+        'pm': 'Project Management', 'project management': 'Project Management'
+    };
+
+    function canonicalSkill(skill) {
+        const trimmed = String(skill).trim().replace(/\s+/g, ' ');
+        return SKILL_SYNONYMS[trimmed.toLowerCase()] || trimmed;
+    }
+
+    function getCanonicalSkills(cv) {
+        return [...new Set((cv.skills || []).map(canonicalSkill).filter(Boolean))];
+    }
+
+    function hasCanonicalSkill(cv, skill) {
+        return getCanonicalSkills(cv).some(s => s.toLowerCase() === skill.toLowerCase());
+    }
+
+    function normalizeCategory(value) {
+        return String(value || '').trim() || 'Unknown';
+    }
+
+    function countBy(values) {
+        // Categories differing only by case are counted together under the first spelling seen.
+        const counts = new Map();
+        values.forEach(value => {
+            const key = value.toLowerCase();
+            const entry = counts.get(key) || { label: value, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        });
+        return [...counts.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    }
+
+    function matchesGridFilter(cv) {
+        if (!gridFilter) return true;
+        switch (gridFilter.type) {
+            case 'experience': {
+                const bucket = EXPERIENCE_BUCKETS[Number(gridFilter.value)];
+                const years = cv.totalExperienceYears ?? 0;
+                return years >= bucket.min && years < bucket.max;
+            }
+            case 'discipline':
+            case 'industry':
+                return normalizeCategory(cv[gridFilter.type]).toLowerCase() === gridFilter.value.toLowerCase();
+            case 'experience-min':
+                return (cv.totalExperienceYears ?? 0) >= Number(gridFilter.value);
+            case 'skill':
+                return hasCanonicalSkill(cv, gridFilter.value);
+            default:
+                return true;
+        }
+    }
+
+    function getVisibleCVs() {
+        return processedCVs.filter(cv => matchesGridFilter(cv) && matchesSearch(cv));
+    }
+
+    function setGridFilter(filter) {
+        gridFilter = filter;
+        renderCandidateCards();
+        setCandidateView(filter ? 'grid' : candidateView);
+    }
+
+    function renderGridFilterBanner(visibleCount) {
+        gridFilterBanner.classList.toggle('hidden', !gridFilter);
+        if (!gridFilter) return;
+        gridFilterText.textContent = `Showing ${visibleCount} of ${processedCVs.length} candidates: ${gridFilter.label}`;
+    }
+
+    function getJobDescriptionSkills(jd) {
+        // Skills come from the role's rubric plus any pool skill or known synonym the JD text mentions.
+        const rubric = (jd.rubricId && savedRubrics.find(r => r.id === jd.rubricId)) || readRubricForm();
+        const skills = new Map();
+        [...(rubric.mustHave || []), ...(rubric.niceToHave || [])].forEach(item => {
+            const skill = canonicalSkill(item.skill);
+            if (skill) skills.set(skill.toLowerCase(), { skill, required: true });
+        });
+
+        const candidates = new Map();
+        processedCVs.forEach(cv => getCanonicalSkills(cv).forEach(skill => candidates.set(skill.toLowerCase(), [skill])));
+        Object.entries(SKILL_SYNONYMS).forEach(([variant, skill]) => {
+            const entry = candidates.get(skill.toLowerCase()) || [skill];
+            entry.push(variant);
+            candidates.set(skill.toLowerCase(), entry);
+        });
+        candidates.forEach(([skill, ...variants], key) => {
+            if (skills.has(key)) return;
+            const mentioned = [skill, ...variants].some(term => {
+                // Two-letter terms ("Go", "ML") only count in capitals and not inside words like "Go-getter".
+                const short = term.length <= 2;
+                const escaped = (short && term !== skill ? term.toUpperCase() : term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                // Word boundaries by hand so that terms like "C++" and "C#" still match.
+                const boundary = short ? '[^\\w#+-]' : '[^\\w#+]';
+                return new RegExp(`(^|${boundary})${escaped}($|${boundary})`, short ? '' : 'i').test(jd.text);
+            });
+            if (mentioned) skills.set(key, { skill, required: false });
+        });
+        return [...skills.values()];
+    }
+
+    function renderBarChart(rows, filterType) {
+        const max = Math.max(...rows.map(row => row.count), 1);
+        return `
+            <ul class="space-y-1.5">
+                ${rows.map(row => `
+                    <li>
+                        <button class="chart-segment w-full text-left group" data-filter-type="${filterType}" data-filter-value="${escapeHtml(row.value ?? row.label)}" data-filter-label="${escapeHtml(row.filterLabel || row.label)}">
+                            <div class="flex justify-between text-xs text-slate-600 group-hover:text-indigo-700">
+                                <span class="truncate pr-2">${escapeHtml(row.label)}</span>
+                                <span class="font-semibold">${row.display ?? row.count}</span>
+                            </div>
+                            <div class="h-2 bg-slate-100 rounded-full overflow-hidden">
+                                <div class="h-full rounded-full ${row.barClass || 'bg-indigo-500'} group-hover:opacity-80" style="width: ${Math.max(row.count / max * 100, row.count ? 2 : 0)}%"></div>
+                            </div>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    function renderCategoryChart(field) {
+        const counts = countBy(processedCVs.map(cv => normalizeCategory(cv[field])));
+        const shown = counts.slice(0, ANALYTICS_MAX_CATEGORIES);
+        const otherCount = counts.slice(ANALYTICS_MAX_CATEGORIES).reduce((sum, c) => sum + c.count, 0);
+        const label = field === 'discipline' ? 'Discipline' : 'Industry';
+        return renderBarChart(shown.map(c => ({ ...c, filterLabel: `${label} is ${c.label}` })), field) +
+            (otherCount ? `<p class="mt-2 text-xs text-slate-500">${otherCount} more across ${counts.length - shown.length} other ${field === 'discipline' ? 'disciplines' : 'industries'}.</p>` : '');
+    }
+
+    function renderAnalyticsDashboard() {
+        if (processedCVs.length === 0) {
+            analyticsDashboard.innerHTML = `<p class="text-sm text-slate-500">Analytics appear once candidates have been processed.</p>`;
+            return;
+        }
+
+        const total = processedCVs.length;
+        const years = processedCVs.map(cv => cv.totalExperienceYears ?? 0).sort((a, b) => a - b);
+        const median = years.length % 2 ? years[(years.length - 1) / 2] : (years[years.length / 2 - 1] + years[years.length / 2]) / 2;
+        const histogram = EXPERIENCE_BUCKETS.map((bucket, i) => ({ ...bucket, index: i, count: years.filter(y => y >= bucket.min && y < bucket.max).length }));
+        const histogramMax = Math.max(...histogram.map(b => b.count), 1);
+        const skillCounts = countBy(processedCVs.flatMap(getCanonicalSkills));
+        const rareSkills = skillCounts.filter(s => s.count === 1);
+
+        const gapJD = jobDescriptions.find(jd => jd.id === analyticsJdId) || jobDescriptions[0];
+        const gapSkills = gapJD ? getJobDescriptionSkills(gapJD).map(({ skill, required }) => {
+            const count = processedCVs.filter(cv => hasCanonicalSkill(cv, skill)).length;
+            return { label: `${skill}${required ? ' *' : ''}`, value: skill, count, display: `${count}/${total}`, filterLabel: `has ${skill}`, barClass: count / total < SKILL_GAP_THRESHOLD ? 'bg-red-500' : 'bg-emerald-500' };
+        }).sort((a, b) => a.count - b.count) : [];
+        const cardClass = 'p-4 bg-white rounded-xl border border-slate-200 shadow-sm';
+
+        analyticsDashboard.innerHTML = `
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                <div class="${cardClass}"><p class="text-xs text-slate-500">Candidates</p><p class="text-2xl font-bold text-slate-800">${total}</p></div>
+                <div class="${cardClass}"><p class="text-xs text-slate-500">Median experience</p><p class="text-2xl font-bold text-slate-800">${Math.round(median * 10) / 10} yrs</p></div>
+                <button class="chart-segment ${cardClass} text-left hover:border-indigo-400" data-filter-type="experience-min" data-filter-value="5" data-filter-label="5+ years experience"><p class="text-xs text-slate-500">5+ years</p><p class="text-2xl font-bold text-slate-800">${years.filter(y => y >= 5).length}</p></button>
+                <div class="${cardClass}"><p class="text-xs text-slate-500">Distinct skills</p><p class="text-2xl font-bold text-slate-800">${skillCounts.length}</p></div>
+            </div>
+            <div class="grid lg:grid-cols-2 gap-6">
+                <section class="${cardClass}">
+                    <h3 class="font-bold text-slate-800 mb-3">Experience (years)</h3>
+                    <div class="flex items-end gap-2 h-40">
+                        ${histogram.map(bucket => `
+                            <button class="chart-segment flex-1 h-full flex flex-col justify-end items-center group" data-filter-type="experience" data-filter-value="${bucket.index}" data-filter-label="${bucket.label} years experience" title="${bucket.count} candidate${bucket.count === 1 ? '' : 's'}">
+                                <span class="text-xs font-semibold text-slate-600">${bucket.count}</span>
+                                <div class="w-full bg-indigo-500 rounded-t group-hover:bg-indigo-400" style="height: ${bucket.count / histogramMax * 100}%"></div>
+                            </button>
+                        `).join('')}
+                    </div>
+                    <div class="flex gap-2 mt-1">${histogram.map(bucket => `<span class="flex-1 text-center text-xs text-slate-500">${bucket.label}</span>`).join('')}</div>
+                </section>
+                <section class="${cardClass}">
+                    <h3 class="font-bold text-slate-800 mb-3">Top skills</h3>
+                    ${skillCounts.length ? renderBarChart(skillCounts.slice(0, ANALYTICS_TOP_SKILLS).map(s => ({ ...s, filterLabel: `has ${s.label}` })), 'skill') : '<p class="text-sm text-slate-500">No skills extracted.</p>'}
+                    ${rareSkills.length ? `
+                        <h4 class="mt-4 text-sm font-semibold text-slate-600">Rare skills <span class="font-normal text-slate-500">(one candidate each)</span></h4>
+                        <div class="mt-1 flex flex-wrap gap-1">${rareSkills.map(s => `<button class="chart-segment skill-tag hover:bg-indigo-100" data-filter-type="skill" data-filter-value="${escapeHtml(s.label)}" data-filter-label="has ${escapeHtml(s.label)}">${escapeHtml(s.label)}</button>`).join('')}</div>
+                    ` : ''}
+                </section>
+                <section class="${cardClass}">
+                    <h3 class="font-bold text-slate-800 mb-3">Disciplines</h3>
+                    ${renderCategoryChart('discipline')}
+                </section>
+                <section class="${cardClass}">
+                    <h3 class="font-bold text-slate-800 mb-3">Industries</h3>
+                    ${renderCategoryChart('industry')}
+                </section>
+                <section class="${cardClass} lg:col-span-2">
+                    <div class="flex items-center justify-between gap-2 mb-1">
+                        <h3 class="font-bold text-slate-800">Skill gap</h3>
+                        ${jobDescriptions.length > 1 ? `<select id="analytics-jd-select" class="text-xs border border-slate-300 rounded-md py-1 px-2">${jobDescriptions.map(jd => `<option value="${jd.id}" ${jd === gapJD ? 'selected' : ''}>${escapeHtml(jd.name)}</option>`).join('')}</select>` : ''}
+                    </div>
+                    ${gapJD ? `
+                        <p class="text-xs text-slate-500 mb-3">How many candidates have each skill ${escapeHtml(gapJD.name)} asks for. Skills marked * come from the rubric; red bars are held by fewer than ${Math.round(SKILL_GAP_THRESHOLD * 100)}% of the pool.</p>
+                        ${gapSkills.length ? renderBarChart(gapSkills, 'skill') : '<p class="text-sm text-slate-500">No recognisable skills found in the job description. Add must-have or nice-to-have skills to its rubric.</p>'}
+                    ` : '<p class="text-sm text-slate-500">Upload a job description to compare the pool against it.</p>'}
+                </section>
+            </div>
+        `;
+
+        const jdSelect = document.getElementById('analytics-jd-select');
+        if (jdSelect) {
+            jdSelect.addEventListener('change', (e) => {
+                analyticsJdId = e.target.value;
+                renderAnalyticsDashboard();
+            });
+        }
+    }
+
+    function handleAnalyticsClick(e) {
+        const segment = e.target.closest('.chart-segment');
+        if (!segment) return;
+        setGridFilter({ type: segment.dataset.filterType, value: segment.dataset.filterValue, label: segment.dataset.filterLabel });
+    }
+
+    // --- Candidate Search ---
+    const SEARCH_FIELDS = {
+        skill: 'skills', skills: 'skills',
+        exp: 'experience', experience: 'experience',
+        industry: 'industry',
+        company: 'companies', companies: 'companies',
+        discipline: 'discipline',
+        education: 'education',
+        stage: 'stage',
+        tag: 'tags', tags: 'tags',
+        name: 'name'
+    };
+    const SEARCH_HELP = "Combine terms with AND, OR, NOT and brackets; quote phrases. Filter with skill:, exp:>=5, industry:, company:, discipline:, education:, stage: or tag:.";
+    const SEARCH_SNIPPET_CONTEXT = 60;
+    const SAVED_SEARCHES_ID = 'savedSearches';
+    let candidateSearch = null;
+    let savedSearches = [];
+    let searchDebounce = null;
+    // Extracted CV text by source record id, loaded from IndexedDB the first time a search needs it.
+    const sourceTexts = new Map();
+    const searchWordCache = new Map();
+
+    function escapeRegExp(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    function parseExperienceFilter(value) {
+        const range = /^(\d+(?:\.\d+)?)(?:-|\.\.)(\d+(?:\.\d+)?)$/.exec(value);
+        if (range) return years => years >= Number(range[1]) && years <= Number(range[2]);
+        const match = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)(\+)?$/.exec(value);
+        if (!match || (match[1] && match[3])) throw new Error(`"exp:${value}" is not a valid experience filter. Try exp:>=5, exp:5+ or exp:3-8.`);
+        const limit = Number(match[2]);
+        const op = match[3] ? '>=' : (match[1] || '=');
+        return {
+            '>=': years => years >= limit,
+            '<=': years => years <= limit,
+            '>': years => years > limit,
+            '<': years => years < limit,
+            '=': years => years === limit
+        }[op];
+    }
+
+    function tokenizeSearchQuery(query) {
+        const tokens = [];
+        let i = 0;
+        while (i < query.length) {
+            const ch = query[i];
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+            if (ch === '(' || ch === ')') {
+                tokens.push({ type: ch });
+                i++;
+                continue;
+            }
+            // A leading minus ("-junior") is shorthand for NOT; hyphens inside words are left alone.
+            if (ch === '-' && i + 1 < query.length && !/[\s()]/.test(query[i + 1]) && (i === 0 || /[\s(]/.test(query[i - 1]))) {
+                tokens.push({ type: 'NOT' });
+                i++;
+                continue;
+            }
+
+            // Only known field names count as filters, so a term like "http://..." is still searched as text.
+            const fieldMatch = /^([A-Za-z]+):/.exec(query.slice(i));
+            const field = fieldMatch && SEARCH_FIELDS[fieldMatch[1].toLowerCase()];
+            if (field) i += fieldMatch[0].length;
+
+            let value;
+            let phrase = false;
+            if (query[i] === '"') {
+                const end = query.indexOf('"', i + 1);
+                if (end === -1) throw new Error("Missing closing quote.");
+                value = query.slice(i + 1, end).trim();
+                phrase = true;
+                i = end + 1;
+            } else {
+                const start = i;
+                while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+                value = query.slice(start, i);
+            }
+
+            if (!field && !phrase && /^(AND|OR|NOT)$/i.test(value)) {
+                tokens.push({ type: value.toUpperCase() });
+                continue;
+            }
+            if (!value) throw new Error(field ? `"${fieldMatch[0]}" needs a value.` : "Empty quotes.");
+            const term = { type: 'term', field, value, phrase };
+            if (field === 'experience') term.compare = parseExperienceFilter(value);
+            tokens.push(term);
+        }
+        return tokens;
+    }
+
+    function parseSearchQuery(query) {
+        // Precedence is NOT, then AND (also implied between adjacent terms), then OR.
+        const tokens = tokenizeSearchQuery(query);
+        if (!tokens.length) return null;
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const describe = token => token.type === 'term' ? `"${token.value}"` : `"${token.type}"`;
+
+        const parseOr = () => {
+            let node = parseAnd();
+            while (peek() && peek().type === 'OR') {
+                pos++;
+                node = { type: 'or', left: node, right: parseAnd() };
+            }
+            return node;
+        };
+        const parseAnd = () => {
+            let node = parseNot();
+            while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+                if (peek().type === 'AND') pos++;
+                node = { type: 'and', left: node, right: parseNot() };
+            }
+            return node;
+        };
+        const parseNot = () => {
+            if (peek() && peek().type === 'NOT') {
+                pos++;
+                return { type: 'not', operand: parseNot() };
+            }
+            return parsePrimary();
+        };
+        const parsePrimary = () => {
+            const token = tokens[pos++];
+            if (!token) throw new Error("The search ends with an operator. Add a term after it.");
+            if (token.type === 'term') return token;
+            if (token.type === '(') {
+                const node = parseOr();
+                if (!peek() || peek().type !== ')') throw new Error("Missing closing bracket.");
+                pos++;
+                return node;
+            }
+            throw new Error(`Unexpected ${describe(token)}.`);
+        };
+
+        const ast = parseOr();
+        if (pos < tokens.length) throw new Error(`Unexpected ${describe(tokens[pos])}.`);
+        return ast;
+    }
+
+    function editDistance(a, b, max) {
+        // Levenshtein distance, giving up as soon as every path exceeds max.
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    function getSearchWords(text) {
+        if (!searchWordCache.has(text)) searchWordCache.set(text, new Set(text.toLowerCase().match(/[\w#+.]+/g) || []));
+        return searchWordCache.get(text);
+    }
+
+    function findSearchTerm(text, term) {
+        if (!text) return null;
+        const value = term.value.toLowerCase();
+        // Word boundaries by hand so that terms like "C++" and "C#" still match. Longer words also match as prefixes ("develop" finds "developer").
+        const wholeWord = term.phrase || value.length < 5;
+        const exact = new RegExp(`(^|[^\\w#+])(${escapeRegExp(value)})${wholeWord ? '(?=$|[^\\w#+])' : ''}`, 'i').exec(text);
+        if (exact) return [exact[2]];
+        if (term.phrase || value.length < 5 || /\s/.test(value)) return null;
+
+        // Fuzzy fallback for typos: one edit for ordinary words, two for long ones.
+        const maxDistance = value.length >= 8 ? 2 : 1;
+        const near = [...getSearchWords(text)].find(word => Math.abs(word.length - value.length) <= maxDistance && editDistance(word, value, maxDistance) <= maxDistance);
+        return near ? [near] : null;
+    }
+
+    function getSourceText(cv) {
+        return [cv.candidateId, ...(cv.mergedCandidateIds || [])].map(id => sourceTexts.get(id)).filter(Boolean).join('\n');
+    }
+
+    function getSearchText(cv) {
+        // Blind review searches the masked text, so a name or email typed into the box cannot single out a hidden candidate.
+        return blindText([
+            getSourceText(cv), cv.name, cv.summary, (cv.skills || []).join(', '), cv.companies, cv.education,
+            cv.discipline, cv.industry, (cv.tags || []).join(', '), cv.notes
+        ].filter(Boolean).join('\n'), cv);
+    }
+
+    async function loadSourceTexts() {
+        const pending = processedCVs.filter(cv => [cv.candidateId, ...(cv.mergedCandidateIds || [])].some(id => !sourceTexts.has(id)));
+        await Promise.all(pending.map(async cv => {
+            const records = await loadCandidateSources(cv);
+            // Imported candidates have no stored document; remember that so they are not looked up on every search.
+            [cv.candidateId, ...(cv.mergedCandidateIds || [])].forEach(id => {
+                const record = records.find(r => r.id === id);
+                sourceTexts.set(id, record ? record.text || '' : '');
+            });
+        }));
+    }
+
+    function matchSearchTerm(term, cv) {
+        switch (term.field) {
+            case 'experience':
+                return term.compare(Number(cv.totalExperienceYears) || 0) ? [] : null;
+            case 'skills': {
+                // Synonyms count as the same skill, so skill:k8s finds "Kubernetes".
+                const target = canonicalSkill(term.value).toLowerCase();
+                const found = (cv.skills || []).filter(skill => canonicalSkill(skill).toLowerCase() === target || findSearchTerm(skill, term));
+                return found.length ? found : null;
+            }
+            case 'tags': {
+                const found = (cv.tags || []).filter(tag => findSearchTerm(tag, term));
+                return found.length ? found : null;
+            }
+            case 'name':
+                return findSearchTerm(privacySettings.blindReview ? getDisplayName(cv) : cv.name || '', term);
+            case null:
+                return findSearchTerm(getSearchText(cv), term);
+            default:
+                return findSearchTerm(String(cv[term.field] || ''), term);
+        }
+    }
+
+    function evaluateSearch(node, cv, hits, negated = false) {
+        switch (node.type) {
+            case 'and':
+                return evaluateSearch(node.left, cv, hits, negated) && evaluateSearch(node.right, cv, hits, negated);
+            case 'or': {
+                // Both sides are evaluated so every matching alternative is highlighted.
+                const left = evaluateSearch(node.left, cv, hits, negated);
+                const right = evaluateSearch(node.right, cv, hits, negated);
+                return left || right;
+            }
+            case 'not':
+                return !evaluateSearch(node.operand, cv, hits, !negated);
+            default: {
+                const found = matchSearchTerm(node, cv);
+                if (found && !negated) hits.push(...found);
+                return Boolean(found);
+            }
+        }
+    }
+
+    function matchesSearch(cv) {
+        if (!candidateSearch) return true;
+        const hits = [];
+        const matched = evaluateSearch(candidateSearch.ast, cv, hits);
+        if (matched) candidateSearch.hits.set(cv.candidateId, [...new Set(hits)]);
+        return matched;
+    }
+
+    async function applySearch() {
+        const query = candidateSearchInput.value.trim();
+        let ast;
+        try {
+            ast = parseSearchQuery(query);
+        } catch (error) {
+            // Keep the last valid search applied while the query is being fixed.
+            candidateSearchInput.setAttribute('aria-invalid', 'true');
+            candidateSearchStatus.textContent = error.message;
+            candidateSearchStatus.classList.add('text-red-600');
+            return;
+        }
+        candidateSearchInput.removeAttribute('aria-invalid');
+        candidateSearchStatus.classList.remove('text-red-600');
+
+        if (ast) {
+            try {
+                await loadSourceTexts();
+            } catch (error) {
+                console.error("Could not load CV text for search:", error);
+            }
+            // A newer query may have been typed while the text was loading.
+            if (candidateSearchInput.value.trim() !== query) return;
+        }
+        searchWordCache.clear();
+        candidateSearch = ast ? { query, ast, hits: new Map() } : null;
+        renderCandidateCards();
+    }
+
+    function scheduleSearch() {
+        clearTimeout(searchDebounce);
+        searchDebounce = setTimeout(applySearch, 250);
+    }
+
+    function renderSearchStatus(visibleCount) {
+        if (candidateSearchInput.getAttribute('aria-invalid') === 'true') return;
+        candidateSearchStatus.textContent = candidateSearch
+            ? `${visibleCount} of ${processedCVs.length} candidates match "${candidateSearch.query}".`
+            : SEARCH_HELP;
+    }
+
+    function renderSearchSnippet(cv) {
+        const hits = candidateSearch.hits.get(cv.candidateId) || [];
+        if (!hits.length) return '';
+
+        const text = getSearchText(cv);
+        const lower = text.toLowerCase();
+        const index = Math.min(...hits.map(hit => lower.indexOf(hit.toLowerCase())).filter(i => i >= 0));
+        let snippet;
+        if (Number.isFinite(index)) {
+            const start = Math.max(0, index - SEARCH_SNIPPET_CONTEXT);
+            const end = Math.min(text.length, index + SEARCH_SNIPPET_CONTEXT * 2);
+            let excerpt = text.slice(start, end);
+            // Trim the cut-off words at either end of the excerpt.
+            if (start > 0) excerpt = excerpt.replace(/^\S*\s/, '');
+            if (end < text.length) excerpt = excerpt.replace(/\s\S*$/, '');
+            snippet = `${start > 0 ? '…' : ''}${excerpt.replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+        } else {
+            snippet = `Matched: ${hits.join(', ')}`;
+        }
+        snippet = blindText(snippet, cv);
+
+        // Highlight on the raw text and escape around the marks, so matches containing "&" or "<" still line up.
+        const pattern = new RegExp(hits.map(escapeRegExp).join('|'), 'gi');
+        let html = '';
+        let last = 0;
+        snippet.replace(pattern, (match, offset) => {
+            html += `${escapeHtml(snippet.slice(last, offset))}<mark class="search-highlight">${escapeHtml(match)}</mark>`;
+            last = offset + match.length;
+            return match;
+        });
+        return html + escapeHtml(snippet.slice(last));
+    }
+
+    async function loadSavedSearches() {
+        try {
+            const record = await dbRequest(SETTINGS_STORE, 'readonly', store => store.get(SAVED_SEARCHES_ID));
+            savedSearches = record ? record.searches : [];
+        } catch (error) {
+            console.error("Could not load saved searches:", error);
+        }
+        renderSavedSearches();
+    }
+
+    function persistSavedSearches() {
+        return dbRequest(SETTINGS_STORE, 'readwrite', store => store.put({ id: SAVED_SEARCHES_ID, searches: savedSearches }))
+            .catch(error => console.error("Could not save searches:", error));
+    }
+
+    function renderSavedSearches(selectedName = '') {
+        savedSearchSelect.innerHTML = `<option value="">Saved searches&hellip;</option>` + savedSearches.map((search, i) => `
+            <option value="${i}" title="${escapeHtml(search.query)}" ${search.name === selectedName ? 'selected' : ''}>${escapeHtml(search.name)}</option>
+        `).join('');
+        deleteSearchBtn.disabled = !selectedName;
+    }
+
+    function saveCurrentSearch() {
+        const query = candidateSearchInput.value.trim();
+        if (!query) {
+            alert("Type a search before saving it.");
+            return;
+        }
+        try {
+            parseSearchQuery(query);
+        } catch (error) {
+            alert(`This search can't be saved: ${error.message}`);
+            return;
+        }
+
+        const name = (prompt("Name this search:", query) || '').trim();
+        if (!name) return;
+        const existing = savedSearches.find(search => search.name.toLowerCase() === name.toLowerCase());
+        if (existing) existing.query = query;
+        else savedSearches.push({ name, query });
+        persistSavedSearches();
+        renderSavedSearches(existing ? existing.name : name);
+    }
+
+    function loadSelectedSearch() {
+        const search = savedSearches[Number(savedSearchSelect.value)];
+        deleteSearchBtn.disabled = !search || savedSearchSelect.value === '';
+        if (!search || savedSearchSelect.value === '') return;
+        candidateSearchInput.value = search.query;
+        applySearch();
+    }
+
+    function deleteSelectedSearch() {
+        const search = savedSearches[Number(savedSearchSelect.value)];
+        if (!search || savedSearchSelect.value === '' || !confirm(`Delete the saved search "${search.name}"?`)) return;
+        savedSearches = savedSearches.filter(s => s !== search);
+        persistSavedSearches();
+        renderSavedSearches();
+    }
+
+    // --- Candidate Pipeline ---
+    function ensurePipelineFields(cv) {
+        cv.stage = PIPELINE_STAGES.includes(cv.stage) ? cv.stage : (cv.shortlisted ? 'Shortlisted' : 'New');
+        cv.notes = cv.notes || '';
+        cv.tags = cv.tags || [];
+        cv.rating = cv.rating || 0;
+        return cv;
+    }
+
+    // Moves a candidate without re-rendering, for callers that update several at once. Returns whether anything changed.
+    function setCandidateStage(cv, stage) {
+        if (!PIPELINE_STAGES.includes(stage)) return false;
+        // The ranking table's shortlist star is set from the stage in both directions, so the two views never disagree.
+        const shortlisted = SHORTLIST_STAGES.includes(stage);
+        if (cv.stage === stage && Boolean(cv.shortlisted) === shortlisted) return false;
+        cv.stage = stage;
+        cv.shortlisted = shortlisted;
+        return true;
+    }
+
+    function updateCandidateStage(cv, stage) {
+        if (!setCandidateStage(cv, stage)) return;
+        renderCandidateCards();
+        if (lastComparisonResults.length > 0) renderRankingTable();
+        persistSession();
+    }
+
+    function setCandidateView(view) {
+        candidateView = view;
+        candidateGrid.classList.toggle('hidden', view !== 'grid');
+        pipelineBoard.classList.toggle('hidden', view !== 'pipeline');
+        analyticsDashboard.classList.toggle('hidden', view !== 'analytics');
+        if (view === 'analytics') renderAnalyticsDashboard();
+        document.querySelectorAll('.candidate-view-btn').forEach(btn => {
+            const active = btn.dataset.view === view;
+            btn.classList.toggle('bg-white', active);
+            btn.classList.toggle('shadow-sm', active);
+            btn.classList.toggle('text-slate-800', active);
+            btn.classList.toggle('text-slate-500', !active);
+            btn.setAttribute('aria-pressed', active);
+        });
+    }
+
+    function renderStars(rating) {
+        return Array.from({ length: MAX_RATING }, (_, i) => i < rating ? '&#9733;' : '&#9734;').join('');
+    }
+
+    function renderCandidateTags(cv) {
+        return cv.tags.map(tag => `<span class="candidate-tag">${escapeHtml(tag)}</span>`).join('');
+    }
+
+    function renderPipelineBoard() {
+        pipelineBoard.innerHTML = PIPELINE_STAGES.map(stage => {
+            const candidates = getVisibleCVs().filter(cv => cv.stage === stage);
+            return `
+                <div class="pipeline-column flex flex-col bg-slate-100 rounded-xl p-3 min-w-[14rem]" data-stage="${stage}">
+                    <h3 class="flex items-center justify-between mb-3 text-sm font-bold text-slate-700">
+                        <span>${stage}</span>
+                        <span class="text-xs font-semibold text-slate-500 bg-white rounded-full px-2">${candidates.length}</span>
+                    </h3>
+                    <div class="flex-grow space-y-2 min-h-[4rem]">
+                        ${candidates.map(cv => `
+                            <div class="pipeline-card bg-white p-3 rounded-lg shadow-sm border border-slate-200 cursor-grab" draggable="true" tabindex="0" data-candidate-id="${cv.candidateId}">
+                                <div class="flex items-start justify-between gap-2">
+                                    <h4 class="font-semibold text-sm text-slate-800">${escapeHtml(getDisplayName(cv))}</h4>
+                                    ${cv.rating ? `<span class="text-xs text-amber-500 whitespace-nowrap" title="${cv.rating} of ${MAX_RATING}">${renderStars(cv.rating)}</span>` : ''}
+                                </div>
+                                <p class="text-xs text-slate-500">${escapeHtml(cv.discipline || 'N/A')} &bull; ${cv.totalExperienceYears ?? '0'} Yrs Exp</p>
+                                ${cv.tags.length ? `<div class="mt-2 flex flex-wrap gap-1">${renderCandidateTags(cv)}</div>` : ''}
+                                ${cv.notes ? `<p class="mt-2 text-xs text-slate-500 truncate" title="${escapeHtml(blindText(cv.notes, cv))}">${escapeHtml(blindText(cv.notes, cv))}</p>` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function handlePipelineDragStart(e) {
+        const card = e.target.closest('.pipeline-card');
+        if (!card) return;
+        e.dataTransfer.setData('text/plain', card.dataset.candidateId);
+        e.dataTransfer.effectAllowed = 'move';
+        card.classList.add('opacity-50');
+    }
+
+    function handlePipelineDragOver(e) {
+        const column = e.target.closest('.pipeline-column');
+        if (!column) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        pipelineBoard.querySelectorAll('.pipeline-column-over').forEach(el => el !== column && el.classList.remove('pipeline-column-over'));
+        column.classList.add('pipeline-column-over');
+    }
+
+    function handlePipelineDrop(e) {
+        const column = e.target.closest('.pipeline-column');
+        if (!column) return;
+        e.preventDefault();
+        const cv = processedCVs.find(c => c.candidateId === e.dataTransfer.getData('text/plain'));
+        column.classList.remove('pipeline-column-over');
+        if (cv) updateCandidateStage(cv, column.dataset.stage);
+    }
+
+    function handlePipelineDragEnd() {
+        pipelineBoard.querySelectorAll('.pipeline-column-over, .opacity-50').forEach(el => el.classList.remove('pipeline-column-over', 'opacity-50'));
+    }
+
+    function renderPipelineEditor(cv) {
+        const editor = document.getElementById('pipeline-editor');
+        if (!editor) return;
+
+        editor.innerHTML = `
+            <div class="grid grid-cols-2 gap-4">
+                <div>
+                    <label for="pipeline-stage-select" class="font-semibold text-slate-600 text-sm">Stage</label>
+                    <select id="pipeline-stage-select" class="mt-1 w-full text-sm border border-slate-300 rounded-md py-1 px-2">
+                        ${PIPELINE_STAGES.map(stage => `<option value="${stage}" ${stage === cv.stage ? 'selected' : ''}>${stage}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <span class="font-semibold text-slate-600 text-sm">Rating</span>
+                    <div class="mt-1 text-xl leading-none">
+                        ${Array.from({ length: MAX_RATING }, (_, i) => `<button class="pipeline-rating-btn ${i < cv.rating ? 'text-amber-500' : 'text-slate-300 hover:text-amber-400'}" data-rating="${i + 1}" title="${i + 1} of ${MAX_RATING}">${i < cv.rating ? '&#9733;' : '&#9734;'}</button>`).join('')}
+                    </div>
+                </div>
+            </div>
+            <div class="mt-3">
+                <label for="pipeline-tag-input" class="font-semibold text-slate-600 text-sm">Tags</label>
+                <div class="mt-1 flex flex-wrap items-center gap-1">
+                    ${cv.tags.map((tag, i) => `<span class="candidate-tag">${escapeHtml(tag)} <button class="pipeline-tag-remove-btn ml-1" data-index="${i}" title="Remove tag">&times;</button></span>`).join('')}
+                    <input id="pipeline-tag-input" type="text" placeholder="Add tag&hellip;" class="flex-grow min-w-[8rem] text-sm border border-slate-300 rounded-md py-1 px-2">
+                </div>
+            </div>
+            <div class="mt-3">
+                <label for="pipeline-notes-input" class="font-semibold text-slate-600 text-sm">Notes</label>
+                <textarea id="pipeline-notes-input" rows="3" class="mt-1 w-full text-sm border border-slate-300 rounded-md py-1 px-2">${escapeHtml(cv.notes)}</textarea>
+            </div>
+        `;
+
+        editor.querySelector('#pipeline-stage-select').addEventListener('change', (e) => updateCandidateStage(cv, e.target.value));
+        editor.querySelectorAll('.pipeline-rating-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const rating = Number(e.currentTarget.dataset.rating);
+                // Clicking the current rating again clears it.
+                cv.rating = cv.rating === rating ? 0 : rating;
+                renderPipelineEditor(cv);
+                renderCandidateCards();
+                persistSession();
+            });
+        });
+        editor.querySelectorAll('.pipeline-tag-remove-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                cv.tags.splice(Number(e.currentTarget.dataset.index), 1);
+                renderPipelineEditor(cv);
+                renderCandidateCards();
+                persistSession();
+            });
+        });
+        editor.querySelector('#pipeline-tag-input').addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ',') return;
+            e.preventDefault();
+            const tag = e.target.value.trim();
+            if (tag && !cv.tags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+                cv.tags.push(tag);
+                renderCandidateCards();
+                persistSession();
+            }
+            renderPipelineEditor(cv);
+            document.getElementById('pipeline-tag-input').focus();
+        });
+        editor.querySelector('#pipeline-notes-input').addEventListener('change', (e) => {
+            cv.notes = e.target.value;
+            renderCandidateCards();
+            persistSession();
+        });
+    }
+
+    // --- Field Editing ---
+    const EDITABLE_FIELDS = {
+        name: { label: 'Name', input: 'text' },
+        summary: { label: 'Summary', input: 'textarea' },
+        skills: { label: 'Key Skills', input: 'list' },
+        totalExperienceYears: { label: 'Total Experience', input: 'number' },
+        education: { label: 'Education', input: 'text' },
+        discipline: { label: 'Discipline', input: 'text' },
+        industry: { label: 'Primary Industry', input: 'text' },
+        companies: { label: 'Recent Companies', input: 'text' }
+    };
+
+    function formatFieldValue(field, value) {
+        if (EDITABLE_FIELDS[field].input === 'list') return (value || []).join(', ');
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    function isFieldEdited(cv, field) {
+        const history = cv.fieldHistory && cv.fieldHistory[field];
+        return Boolean(history) && formatFieldValue(field, cv[field]) !== formatFieldValue(field, history[0].value);
+    }
+
+    function getEditedFields(cv) {
+        return Object.keys(EDITABLE_FIELDS).filter(field => isFieldEdited(cv, field));
+    }
+
+    function renderEditableField(cv, field, displayHtml) {
+        const edited = isFieldEdited(cv, field);
+        return `
+            <div class="editable-field" data-field="${field}">
+                <div class="flex items-center gap-2">
+                    <h4 class="font-semibold text-slate-600 text-sm">${EDITABLE_FIELDS[field].label}</h4>
+                    ${cv.fieldHistory && cv.fieldHistory[field] ? `<button class="field-history-btn ${edited ? 'edited-badge' : 'text-xs text-slate-400 hover:text-slate-600'}" data-field="${field}" title="Show edit history">${edited ? 'Edited' : 'History'}</button>` : ''}
+                    <button class="field-edit-btn text-xs text-indigo-600 hover:text-indigo-800" data-field="${field}">Edit</button>
+                </div>
+                <div class="field-display">${displayHtml}</div>
+                <div class="field-history hidden"></div>
+            </div>
+        `;
+    }
+
+    function startFieldEdit(cv, field) {
+        const wrapper = document.querySelector(`#candidate-fields .editable-field[data-field="${field}"]`);
+        if (!wrapper) return;
+        const { input } = EDITABLE_FIELDS[field];
+        const value = escapeHtml(formatFieldValue(field, cv[field]));
+        const inputClass = 'w-full text-sm border border-slate-300 rounded-md py-1 px-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+        wrapper.querySelector('.field-display').innerHTML = `
+            ${input === 'textarea'
+                ? `<textarea class="field-input ${inputClass}" rows="4">${value}</textarea>`
+                : `<input class="field-input ${inputClass}" type="${input === 'number' ? 'number' : 'text'}" ${input === 'number' ? 'min="0" step="0.5"' : ''} value="${value}">`}
+            ${input === 'list' ? '<p class="text-xs text-slate-500 mt-1">Separate entries with commas.</p>' : ''}
+            <div class="mt-2 flex gap-2">
+                <button class="field-save-btn text-xs font-semibold bg-indigo-600 text-white py-1 px-3 rounded-md hover:bg-indigo-700">Save</button>
+                <button class="field-cancel-btn text-xs font-semibold text-slate-600 py-1 px-3 rounded-md hover:bg-slate-100">Cancel</button>
+            </div>
+        `;
+
+        const fieldInput = wrapper.querySelector('.field-input');
+        const save = () => {
+            try {
+                applyFieldEdit(cv, field, parseFieldInput(field, fieldInput.value));
+            } catch (error) {
+                alert(error.message);
+            }
+        };
+        fieldInput.focus();
+        fieldInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && input !== 'textarea') save();
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                renderCandidateFields(cv);
+            }
+        });
+        wrapper.querySelector('.field-save-btn').addEventListener('click', save);
+        wrapper.querySelector('.field-cancel-btn').addEventListener('click', () => renderCandidateFields(cv));
+    }
+
+    function parseFieldInput(field, raw) {
+        const { input, label } = EDITABLE_FIELDS[field];
+        if (input === 'number') {
+            const years = Number(raw);
+            if (raw.trim() === '' || !Number.isFinite(years) || years < 0) throw new Error(`${label} must be a number of years of zero or more.`);
+            return years;
+        }
+        if (input === 'list') return [...new Set(raw.split(',').map(entry => entry.trim()).filter(Boolean))];
+        return raw.trim();
+    }
+
+    function applyFieldEdit(cv, field, value) {
+        if (formatFieldValue(field, value) === formatFieldValue(field, cv[field])) {
+            renderCandidateFields(cv);
+            return;
+        }
+
+        cv.fieldHistory = cv.fieldHistory || {};
+        // The first entry is always what the AI extracted, so a value can be traced and reverted however often it is edited.
+        if (!cv.fieldHistory[field]) cv.fieldHistory[field] = [{ value: cv[field] ?? null, editedAt: null, by: 'ai' }];
+        cv.fieldHistory[field].push({ value, editedAt: new Date().toISOString(), by: 'human' });
+        cv[field] = value;
+
+        if (field === 'name') {
+            // Ranking results carry the name the server echoed back, so keep them in step with the correction.
+            Object.values(comparisonRuns).forEach(results => results.forEach(result => {
+                if (result.candidateId === cv.candidateId) result.name = value;
+            }));
+            modalName.textContent = value;
+            renderComparisonRuns();
+        }
+
+        renderCandidateFields(cv);
+        renderCandidateCards();
+        persistSession();
+    }
+
+    function toggleFieldHistory(cv, field) {
+        const panel = document.querySelector(`#candidate-fields .editable-field[data-field="${field}"] .field-history`);
+        if (!panel) return;
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const history = cv.fieldHistory[field];
+        panel.innerHTML = `
+            <ol class="mt-2 p-2 space-y-1 rounded-md border border-slate-200 bg-slate-50 text-xs text-slate-600">
+                ${history.map(entry => `
+                    <li>
+                        <span class="font-semibold">${entry.by === 'ai' ? 'AI original' : `Edited ${new Date(entry.editedAt).toLocaleString()}`}:</span>
+                        ${escapeHtml(formatFieldValue(field, entry.value)) || '<em>empty</em>'}
+                    </li>
+                `).join('')}
+            </ol>
+            ${isFieldEdited(cv, field) ? `<button class="field-revert-btn mt-1 text-xs font-semibold text-indigo-600 hover:text-indigo-800">Revert to AI value</button>` : ''}
+        `;
+        panel.classList.remove('hidden');
+        const revertBtn = panel.querySelector('.field-revert-btn');
+        if (revertBtn) revertBtn.addEventListener('click', () => applyFieldEdit(cv, field, history[0].value));
+    }
+
+    function toCandidateProfile(cv) {
+        // Only the profile fields are scored; notes, tags and edit history stay in the browser.
+        // Values masked during analysis are masked again, in case the AI quoted them in the profile.
+        return {
+            candidateId: cv.candidateId,
+            name: cv.name,
+            totalExperienceYears: cv.totalExperienceYears,
+            companies: maskRedactedValues(cv.companies, cv.pii),
+            education: maskRedactedValues(cv.education, cv.pii),
+            discipline: cv.discipline,
+            industry: cv.industry,
+            skills: maskRedactedValues(cv.skills || [], cv.pii),
+            summary: maskRedactedValues(cv.summary, cv.pii)
+        };
+    }
+
+    // --- Source Preview ---
+    const PREVIEW_MAX_PAGES = 20;
+    let previewToken = 0;
+    let previewObjectUrl = null;
+    let previewSourceText = null;
+
+    function saveCandidateSource(cv, file, text) {
+        // Kept outside the session record so CV text never travels with the candidate profiles sent to the server.
+        return dbRequest(SOURCE_STORE, 'readwrite', store => store.put({ id: cv.candidateId, fileName: cv.filename, file, text }))
+            .catch(error => console.error(`Could not store source document for ${cv.filename}:`, error));
+    }
+
+    async function loadCandidateSources(cv) {
+        const ids = [cv.candidateId, ...(cv.mergedCandidateIds || [])];
+        const records = await Promise.all(ids.map(id => dbRequest(SOURCE_STORE, 'readonly', store => store.get(id)).catch(() => undefined)));
+        return records.filter(Boolean);
+    }
+
+    async function deleteOrphanedSources(candidateIds) {
+        const sessions = await listSessions();
+        const referenced = new Set(sessions.flatMap(session => (session.cvs || []).flatMap(cv => [cv.candidateId, ...(cv.mergedCandidateIds || [])])));
+        const orphaned = candidateIds.filter(id => !referenced.has(id));
+        await Promise.all(orphaned.map(id => dbRequest(SOURCE_STORE, 'readwrite', store => store.delete(id))));
+    }
+
+    function normalizeForMatch(text) {
+        // Whitespace is dropped entirely because PDF text runs and OCR split words unpredictably.
+        return String(text).split('').filter(c => !/\s/.test(c)).map(c => c.toLowerCase().charAt(0)).join('');
+    }
+
+    function splitFieldEntries(value) {
+        if (!value) return [];
+        return String(value).split(/[,;\n]|\s\|\s/).map(entry => entry.trim()).filter(Boolean);
+    }
+
+    function renderSourceTerms(entries, className) {
+        if (entries.length === 0) return '<p class="text-slate-800">N/A</p>';
+        return `<div class="mt-1 flex flex-wrap gap-2">${entries.map(entry => `<button class="source-term ${className}" data-term="${escapeHtml(entry)}">${escapeHtml(entry)}</button>`).join('')}</div>`;
+    }
+
+    function markUnverifiedTerms(text) {
+        const source = normalizeForMatch(text);
+        modalBody.querySelectorAll('.source-term').forEach(el => {
+            if (el.dataset.termType === 'experience') {
+                const years = el.dataset.years;
+                const match = years !== '' && text.match(new RegExp(`\\b${years.replace('.', '\\.')}\\+?\\s*(years?|yrs?)\\b`, 'i'));
+                if (match) {
+                    el.dataset.term = match[0];
+                    return;
+                }
+                el.insertAdjacentHTML('afterend', '<span class="not-found-label" title="The figure is probably computed from employment dates">not found in source</span>');
+                el.disabled = true;
+                return;
+            }
+            if (source.includes(normalizeForMatch(el.dataset.term))) return;
+            el.classList.add('source-term-missing');
+            el.disabled = true;
+            el.title = "Not found in source";
+            el.insertAdjacentHTML('beforeend', ' <span class="not-found-label">not found in source</span>');
+        });
+    }
+
+    async function renderSourcePreview(cv) {
+        const token = ++previewToken;
+        const container = document.getElementById('source-preview');
+        let sources;
+        try {
+            sources = await loadCandidateSources(cv);
+        } catch (error) {
+            console.error("Could not load source document:", error);
+            sources = [];
+        }
+        if (token !== previewToken) return;
+
+        if (sources.length === 0) {
+            container.innerHTML = `<p class="p-4 text-sm text-slate-500">The original file was not stored for this candidate, so it cannot be previewed or checked. Re-process the CV to enable the preview.</p>`;
+            return;
+        }
+
+        previewSourceText = sources.map(source => source.text).join('\n');
+        markUnverifiedTerms(previewSourceText);
+
+        const picker = document.getElementById('source-preview-picker');
+        if (sources.length > 1) {
+            picker.innerHTML = sources.map((source, i) => `<option value="${i}">${escapeHtml(source.fileName)}</option>`).join('');
+            picker.classList.remove('hidden');
+            picker.onchange = () => renderSourceDocument(sources[Number(picker.value)], container, token);
+        }
+        await renderSourceDocument(sources[0], container, token);
+    }
+
+    async function renderSourceDocument(source, container, token) {
+        container.innerHTML = `<p class="p-4 text-sm text-slate-500">Rendering ${escapeHtml(source.fileName)}&hellip;</p>`;
+        if (previewObjectUrl) {
+            URL.revokeObjectURL(previewObjectUrl);
+            previewObjectUrl = null;
+        }
+
+        try {
+            const extension = getFileExtension(source.fileName);
+            const content = document.createElement('div');
+            if (extension === 'pdf') {
+                await renderPdfPreview(await source.file.arrayBuffer(), content, container.clientWidth - 16);
+            } else if (extension === 'docx') {
+                await renderDocxPreview(await source.file.arrayBuffer(), content);
+            } else {
+                if (IMAGE_EXTENSIONS.includes(extension)) {
+                    previewObjectUrl = URL.createObjectURL(source.file);
+                    content.innerHTML = `<img src="${previewObjectUrl}" alt="${escapeHtml(source.fileName)}" class="w-full mb-3 rounded shadow-sm">`;
+                }
+                // Other formats have no faithful in-browser renderer, so the extracted text stands in.
+                const pre = document.createElement('pre');
+                pre.className = 'source-text bg-white p-4 rounded shadow-sm text-xs whitespace-pre-wrap font-mono text-slate-800';
+                pre.textContent = source.text;
+                content.appendChild(pre);
+            }
+            if (token !== previewToken) return;
+            container.innerHTML = '';
+            container.appendChild(content);
+        } catch (error) {
+            console.error(`Could not render preview for ${source.fileName}:`, error);
+            if (token === previewToken) container.innerHTML = `<p class="p-4 text-sm text-red-600">Could not render a preview: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    async function renderPdfPreview(fileBuffer, container, width) {
+        const pdf = await pdfjsLib.getDocument(new Uint8Array(fileBuffer)).promise;
+        const pageCount = Math.min(pdf.numPages, PREVIEW_MAX_PAGES);
+        for (let i = 1; i <= pageCount; i++) {
+            const page = await pdf.getPage(i);
+            const baseViewport = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: width > 0 ? width / baseViewport.width : 1 });
+
+            const pageEl = document.createElement('div');
+            pageEl.className = 'source-page relative mx-auto mb-3 bg-white shadow-sm';
+            pageEl.style.width = `${viewport.width}px`;
+            pageEl.style.height = `${viewport.height}px`;
+            const canvas = document.createElement('canvas');
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+            pageEl.appendChild(canvas);
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+            // An invisible text layer over the canvas gives the highlighter something to find and scroll to.
+            const textLayer = document.createElement('div');
+            textLayer.className = 'source-text-layer';
+            const textContent = await page.getTextContent();
+            textContent.items.forEach(item => {
+                if (!item.str) return;
+                const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+                const fontHeight = Math.hypot(tx[2], tx[3]);
+                const span = document.createElement('span');
+                span.textContent = item.str;
+                span.style.left = `${tx[4]}px`;
+                span.style.top = `${tx[5] - fontHeight}px`;
+                span.style.fontSize = `${fontHeight}px`;
+                if (item.width) span.style.width = `${item.width * viewport.scale}px`;
+                textLayer.appendChild(span);
+            });
+            pageEl.appendChild(textLayer);
+            container.appendChild(pageEl);
+        }
+        if (pdf.numPages > pageCount) {
+            container.insertAdjacentHTML('beforeend', `<p class="text-xs text-slate-500 text-center">Showing the first ${pageCount} of ${pdf.numPages} pages.</p>`);
+        }
+    }
+
+    async function renderDocxPreview(fileBuffer, container) {
+        const result = await mammoth.convertToHtml({ arrayBuffer: fileBuffer });
+        const doc = new DOMParser().parseFromString(result.value, 'text/html');
+        // Hyperlinks come straight from the document, so only plain web and mail links survive.
+        doc.querySelectorAll('a').forEach(link => {
+            if (!/^(https?:|mailto:)/i.test(link.getAttribute('href') || '')) link.removeAttribute('href');
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        });
+        container.className = 'source-docx bg-white p-6 rounded shadow-sm text-sm text-slate-800';
+        container.innerHTML = doc.body.innerHTML;
+    }
+
+    function highlightSourceTerm(term) {
+        const preview = document.getElementById('source-preview');
+        if (!preview) return 0;
+        preview.querySelectorAll('mark.source-highlight').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize();
+        });
+
+        const needle = normalizeForMatch(term);
+        if (!needle) return 0;
+
+        // Index every non-space character back to its text node so a match can span several runs.
+        const chars = [];
+        const walker = document.createTreeWalker(preview, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            for (let i = 0; i < node.data.length; i++) {
+                if (!/\s/.test(node.data[i])) chars.push({ node, offset: i, char: node.data[i].toLowerCase().charAt(0) });
+            }
+        }
+        const haystack = chars.map(c => c.char).join('');
+
+        const segments = [];
+        for (let start = haystack.indexOf(needle); start !== -1; start = haystack.indexOf(needle, start + needle.length)) {
+            chars.slice(start, start + needle.length).forEach(c => {
+                const last = segments[segments.length - 1];
+                if (last && last.node === c.node && last.match === start) {
+                    last.end = c.offset + 1;
+                } else {
+                    segments.push({ node: c.node, start: c.offset, end: c.offset + 1, match: start });
+                }
+            });
+        }
+
+        // Wrapping back to front keeps the earlier offsets within each text node valid.
+        segments.reverse().forEach(segment => {
+            const range = document.createRange();
+            range.setStart(segment.node, segment.start);
+            range.setEnd(segment.node, segment.end);
+            const mark = document.createElement('mark');
+            mark.className = 'source-highlight';
+            range.surroundContents(mark);
+        });
+
+        const first = preview.querySelector('mark.source-highlight');
+        if (first) first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return new Set(segments.map(segment => segment.match)).size;
+    }
+
+    // --- Scoring Rubric ---
+    const DEFAULT_SKILL_WEIGHTS = { 'must-have': 3, 'nice-to-have': 1 };
+
+    function addRubricSkillRow(listName, skill = '', weight = DEFAULT_SKILL_WEIGHTS[listName]) {
+        const list = document.getElementById(`rubric-${listName}-list`);
+        const row = document.createElement('div');
+        row.className = 'rubric-skill-row flex gap-2';
+        row.innerHTML = `
+            <input type="text" class="rubric-skill-input w-full text-sm p-2 border border-slate-300 rounded-md" placeholder="Skill" value="${escapeHtml(skill)}">
+            <input type="number" class="rubric-weight-input w-16 text-sm p-2 border border-slate-300 rounded-md" min="0" step="0.5" value="${weight}" title="Weight">
+            <button class="text-slate-400 hover:text-red-600 text-lg leading-none" title="Remove">&times;</button>
+        `;
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        list.appendChild(row);
+    }
+
+    function readRubricSkills(listName) {
+        return Array.from(document.querySelectorAll(`#rubric-${listName}-list .rubric-skill-row`))
+            .map(row => ({
+                skill: row.querySelector('.rubric-skill-input').value.trim(),
+                weight: parseFloat(row.querySelector('.rubric-weight-input').value) || 0
+            }))
+            .filter(item => item.skill);
+    }
+
+    function parseOptionalNumber(value) {
+        return value === '' ? null : Number(value);
+    }
+
+    function readRubricForm() {
+        return {
+            role: rubricRoleInput.value.trim(),
+            mustHave: readRubricSkills('must-have'),
+            niceToHave: readRubricSkills('nice-to-have'),
+            experience: {
+                min: parseOptionalNumber(rubricExpMinInput.value),
+                max: parseOptionalNumber(rubricExpMaxInput.value),
+                weight: parseFloat(rubricExpWeightInput.value) || 0
+            },
+            education: { value: rubricEducationInput.value.trim(), weight: parseFloat(rubricEducationWeightInput.value) || 0 },
+            industries: { value: rubricIndustriesInput.value.trim(), weight: parseFloat(rubricIndustriesWeightInput.value) || 0 }
+        };
+    }
+
+    function fillRubricForm(rubric) {
+        rubricRoleInput.value = rubric.role || '';
+        ['must-have', 'nice-to-have'].forEach(listName => {
+            document.getElementById(`rubric-${listName}-list`).innerHTML = '';
+        });
+        (rubric.mustHave || []).forEach(item => addRubricSkillRow('must-have', item.skill, item.weight));
+        (rubric.niceToHave || []).forEach(item => addRubricSkillRow('nice-to-have', item.skill, item.weight));
+        rubricExpMinInput.value = rubric.experience?.min ?? '';
+        rubricExpMaxInput.value = rubric.experience?.max ?? '';
+        rubricExpWeightInput.value = rubric.experience?.weight ?? 2;
+        rubricEducationInput.value = rubric.education?.value || '';
+        rubricEducationWeightInput.value = rubric.education?.weight ?? 1;
+        rubricIndustriesInput.value = rubric.industries?.value || '';
+        rubricIndustriesWeightInput.value = rubric.industries?.weight ?? 1;
+    }
+
+    function buildRubricCriteria(rubric) {
+        const criteria = [];
+        rubric.mustHave.forEach((item, i) => criteria.push({ id: `must-${i}`, type: 'must_have', label: item.skill, weight: item.weight }));
+        rubric.niceToHave.forEach((item, i) => criteria.push({ id: `nice-${i}`, type: 'nice_to_have', label: item.skill, weight: item.weight }));
+        const { min, max, weight } = rubric.experience;
+        if (min !== null || max !== null) {
+            const label = min !== null && max !== null ? `${min}-${max} years` : min !== null ? `${min}+ years` : `Up to ${max} years`;
+            criteria.push({ id: 'experience', type: 'experience', label, min, max, weight });
+        }
+        if (rubric.education.value) criteria.push({ id: 'education', type: 'education', label: rubric.education.value, weight: rubric.education.weight });
+        if (rubric.industries.value) criteria.push({ id: 'industry', type: 'industry', label: rubric.industries.value, weight: rubric.industries.weight });
+        return criteria;
+    }
+
+    function getRubricId(role) {
+        return role.toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    async function renderSavedRubrics(selectedId = '') {
+        try {
+            savedRubrics = (await dbRequest(RUBRIC_STORE, 'readonly', store => store.getAll())).sort((a, b) => a.role.localeCompare(b.role));
+            rubricSavedSelect.innerHTML = `<option value="">Saved rubrics&hellip;</option>` + savedRubrics
+                .map(rubric => `<option value="${escapeHtml(rubric.id)}" ${rubric.id === selectedId ? 'selected' : ''}>${escapeHtml(rubric.role)}</option>`)
+                .join('');
+            renderJobDescriptionList();
+        } catch (error) {
+            console.error("Could not load saved rubrics:", error);
+        }
+    }
+
+    async function saveRubric() {
+        const rubric = readRubricForm();
+        if (!rubric.role) {
+            alert("Enter a role name to save this rubric.");
+            return;
+        }
+        const record = { ...rubric, id: getRubricId(rubric.role), updatedAt: new Date().toISOString() };
+        try {
+            await dbRequest(RUBRIC_STORE, 'readwrite', store => store.put(record));
+            renderSavedRubrics(record.id);
+        } catch (error) {
+            console.error("Could not save rubric:", error);
+            alert(`Could not save rubric: ${error.message}`);
+        }
+    }
+
+    async function loadSelectedRubric() {
+        const id = rubricSavedSelect.value;
+        if (!id) return;
+        try {
+            const rubric = await dbRequest(RUBRIC_STORE, 'readonly', store => store.get(id));
+            if (rubric) fillRubricForm(rubric);
+        } catch (error) {
+            console.error("Could not load rubric:", error);
+        }
+    }
+
+    async function deleteSelectedRubric() {
+        const id = rubricSavedSelect.value;
+        if (!id || !confirm("Delete this saved rubric?")) return;
+        try {
+            await dbRequest(RUBRIC_STORE, 'readwrite', store => store.delete(id));
+            renderSavedRubrics();
+        } catch (error) {
+            console.error("Could not delete rubric:", error);
+            alert(`Could not delete rubric: ${error.message}`);
+        }
+    }
+
+    function renderCriteriaBreakdown(result) {
+        const icon = met => met >= 0.75
+            ? '<span class="criterion-icon text-green-600" title="Met">&#10003;</span>'
+            : met >= 0.25
+                ? '<span class="criterion-icon text-amber-500" title="Partially met">&#9680;</span>'
+                : '<span class="criterion-icon text-red-500" title="Not met">&#10007;</span>';
+        const typeLabels = { must_have: 'Must-have', nice_to_have: 'Nice-to-have', experience: 'Experience', education: 'Education', industry: 'Industry' };
+
+        return `
+            ${result.gatePassed === false ? `<div class="gate-fail-badge mt-2">Fails must-have: ${escapeHtml(result.failedMustHaves.join(', '))}</div>` : ''}
+            <ul class="criteria-breakdown mt-2 space-y-1">
+                ${result.criteria.map(criterion => `
+                    <li class="flex items-start gap-2 text-xs">
+                        ${icon(criterion.met)}
+                        <span class="font-semibold text-slate-700">${escapeHtml(criterion.label)}</span>
+                        <span class="text-slate-400">${typeLabels[criterion.type] || criterion.type} &times;${criterion.weight}</span>
+                        <span class="text-slate-500 flex-grow">${escapeHtml(criterion.note || '')}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    // --- Export ---
+    const DEFAULT_EXPORT_FILENAME = 'SIL_CV_Analysis_Report';
+    const EXPORT_FORMATS = {
+        xlsx: { label: 'Excel workbook', extension: 'xlsx' },
+        csv: { label: 'CSV (candidates only)', extension: 'csv' },
+        json: { label: 'JSON', extension: 'json' },
+        pdf: { label: 'Printable PDF shortlist report', extension: 'pdf' }
+    };
+    const EXPORT_SHEETS = {
+        candidates: 'Candidates',
+        skills: 'Skills (one row per candidate skill)',
+        comparison: 'JD comparison scores and justifications',
+        editHistory: 'Edit history',
+        metadata: 'Metadata'
+    };
+    // `value` is what goes into spreadsheet cells; `json` (when present) keeps the structured value for JSON exports.
+    const EXPORT_COLUMNS = [
+        { key: 'candidateId', label: 'Candidate ID', value: cv => cv.candidateId },
+        { key: 'name', label: 'Name', value: cv => cv.name || 'N/A' },
+        { key: 'emails', label: 'Email', value: cv => (cv.emails || []).join(', '), json: cv => cv.emails || [] },
+        { key: 'phones', label: 'Phone', value: cv => (cv.phones || []).join(', '), json: cv => cv.phones || [] },
+        { key: 'totalExperienceYears', label: 'Experience (Yrs)', value: cv => cv.totalExperienceYears ?? 0 },
+        { key: 'companies', label: 'Companies', value: cv => cv.companies || 'N/A' },
+        { key: 'education', label: 'Education', value: cv => cv.education || 'N/A' },
+        { key: 'discipline', label: 'Discipline', value: cv => cv.discipline || 'N/A' },
+        { key: 'industry', label: 'Industry', value: cv => cv.industry || 'N/A' },
+        { key: 'skills', label: 'Skills', value: cv => (cv.skills || []).join(', ') || 'N/A', json: cv => cv.skills || [] },
+        { key: 'summary', label: 'Summary', value: cv => cv.summary || 'N/A' },
+        { key: 'sourceFiles', label: 'Source File', value: cv => getSourceFiles(cv).join(', ') || 'N/A', json: cv => getSourceFiles(cv) },
+        { key: 'ocrPages', label: 'OCR Pages', value: cv => cv.ocr ? cv.ocr.pages.join(', ') : '', json: cv => cv.ocr ? cv.ocr.pages : [] },
+        { key: 'stage', label: 'Stage', value: cv => cv.stage },
+        { key: 'shortlisted', label: 'Shortlisted', value: cv => cv.shortlisted ? 'Yes' : '', json: cv => Boolean(cv.shortlisted) },
+        { key: 'rating', label: 'Rating', value: cv => cv.rating || '', json: cv => cv.rating || 0 },
+        { key: 'tags', label: 'Tags', value: cv => cv.tags.join(', '), json: cv => cv.tags },
+        { key: 'notes', label: 'Notes', value: cv => cv.notes },
+        { key: 'editedFields', label: 'Edited Fields', value: cv => getEditedFields(cv).map(field => EDITABLE_FIELDS[field].label).join(', '), json: cv => getEditedFields(cv) }
+    ];
+    let exportOptions = {
+        format: 'xlsx',
+        filename: DEFAULT_EXPORT_FILENAME,
+        scope: 'all',
+        columns: EXPORT_COLUMNS.map(column => column.key),
+        sheets: Object.keys(EXPORT_SHEETS)
+    };
+
+    function describeVisibleFilter() {
+        return [gridFilter && gridFilter.label, candidateSearch && `search "${candidateSearch.query}"`].filter(Boolean).join(' and ') || 'None';
+    }
+
+    function getExportCandidates(scope) {
+        if (scope === 'shortlisted') return processedCVs.filter(cv => cv.shortlisted);
+        if (scope === 'selected') return getSelectedCVs();
+        if (scope === 'filtered') return getVisibleCVs();
+        return processedCVs;
+    }
+
+    function showExportDialog() {
+        if (processedCVs.length === 0) return;
+
+        const shortlistedCount = getExportCandidates('shortlisted').length;
+        if (exportOptions.scope === 'filtered' && !gridFilter && !candidateSearch) exportOptions.scope = 'all';
+        if (exportOptions.scope === 'selected' && !selectedCandidateIds.size) exportOptions.scope = 'all';
+        const checkbox = 'rounded border-slate-300 text-indigo-600 focus:ring-indigo-500';
+
+        modalName.textContent = "Export Results";
+        modalBody.innerHTML = `
+            <div class="space-y-5 text-sm">
+                <fieldset>
+                    <legend class="font-semibold text-slate-600">Format</legend>
+                    <div class="mt-2 grid grid-cols-2 gap-2">
+                        ${Object.entries(EXPORT_FORMATS).map(([format, { label }]) => `
+                            <label class="flex items-center gap-2 p-2 border border-slate-200 rounded-md cursor-pointer hover:bg-slate-50">
+                                <input type="radio" name="export-format" value="${format}" ${format === exportOptions.format ? 'checked' : ''}> ${label}
+                            </label>
+                        `).join('')}
+                    </div>
+                </fieldset>
+                <div class="grid grid-cols-2 gap-4">
+                    <div>
+                        <label for="export-filename" class="font-semibold text-slate-600">File name</label>
+                        <div class="mt-1 flex items-center gap-1">
+                            <input type="text" id="export-filename" class="flex-grow border border-slate-300 rounded-md py-1 px-2" value="${escapeHtml(exportOptions.filename)}">
+                            <span id="export-extension" class="text-slate-500">.${EXPORT_FORMATS[exportOptions.format].extension}</span>
+                        </div>
+                    </div>
+                    <div>
+                        <label for="export-scope" class="font-semibold text-slate-600">Candidates</label>
+                        <select id="export-scope" class="mt-1 w-full border border-slate-300 rounded-md py-1 px-2">
+                            <option value="all" ${exportOptions.scope === 'all' ? 'selected' : ''}>All candidates (${processedCVs.length})</option>
+                            <option value="shortlisted" ${exportOptions.scope === 'shortlisted' ? 'selected' : ''} ${shortlistedCount ? '' : 'disabled'}>Shortlisted (${shortlistedCount})</option>
+                            ${selectedCandidateIds.size ? `<option value="selected" ${exportOptions.scope === 'selected' ? 'selected' : ''}>Selected (${selectedCandidateIds.size})</option>` : ''}
+                            ${gridFilter || candidateSearch ? `<option value="filtered" ${exportOptions.scope === 'filtered' ? 'selected' : ''}>Current filter: ${escapeHtml(describeVisibleFilter())} (${getVisibleCVs().length})</option>` : ''}
+                        </select>
+                    </div>
+                </div>
+                <fieldset id="export-sheets" class="${exportOptions.format === 'xlsx' ? '' : 'hidden'}">
+                    <legend class="font-semibold text-slate-600">Sheets</legend>
+                    <div class="mt-2 grid grid-cols-2 gap-1">
+                        ${Object.entries(EXPORT_SHEETS).map(([sheet, label]) => `
+                            <label class="flex items-center gap-2"><input type="checkbox" class="export-sheet ${checkbox}" value="${sheet}" ${exportOptions.sheets.includes(sheet) ? 'checked' : ''}> ${label}</label>
+                        `).join('')}
+                    </div>
+                </fieldset>
+                <fieldset id="export-columns" class="${exportOptions.format === 'pdf' ? 'hidden' : ''}">
+                    <legend class="font-semibold text-slate-600">Candidate columns
+                        <button type="button" class="export-columns-toggle ml-2 text-xs font-normal text-indigo-600 hover:text-indigo-800" data-checked="true">All</button>
+                        <button type="button" class="export-columns-toggle text-xs font-normal text-indigo-600 hover:text-indigo-800" data-checked="false">None</button>
+                    </legend>
+                    <div class="mt-2 grid grid-cols-2 md:grid-cols-3 gap-1">
+                        ${EXPORT_COLUMNS.map(column => `
+                            <label class="flex items-center gap-2"><input type="checkbox" class="export-column ${checkbox}" value="${column.key}" ${exportOptions.columns.includes(column.key) ? 'checked' : ''}> ${column.label}</label>
+                        `).join('')}
+                    </div>
+                </fieldset>
+                <p id="export-pdf-hint" class="${exportOptions.format === 'pdf' ? '' : 'hidden'} text-xs text-slate-500">The report opens in a new window with a summary page and one page per candidate. Choose "Save as PDF" in the print dialog.</p>
+                <div class="flex justify-end gap-2 pt-2 border-t border-slate-200">
+                    <button id="export-cancel-btn" class="py-2 px-4 rounded-md font-semibold text-slate-600 hover:bg-slate-100">Cancel</button>
+                    <button id="export-confirm-btn" class="py-2 px-4 rounded-md font-semibold bg-indigo-600 text-white hover:bg-indigo-700">Export</button>
+                </div>
+            </div>
+        `;
+
+        modalBody.querySelectorAll('input[name="export-format"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                const format = e.target.value;
+                document.getElementById('export-extension').textContent = `.${EXPORT_FORMATS[format].extension}`;
+                document.getElementById('export-sheets').classList.toggle('hidden', format !== 'xlsx');
+                document.getElementById('export-columns').classList.toggle('hidden', format === 'pdf');
+                document.getElementById('export-pdf-hint').classList.toggle('hidden', format !== 'pdf');
+                const scopeSelect = document.getElementById('export-scope');
+                // A shortlist report is what the PDF is for, so default to it when there is one.
+                if (format === 'pdf' && scopeSelect.value === 'all' && shortlistedCount) scopeSelect.value = 'shortlisted';
+            });
+        });
+        modalBody.querySelectorAll('.export-columns-toggle').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const checked = e.currentTarget.dataset.checked === 'true';
+                modalBody.querySelectorAll('.export-column').forEach(input => { input.checked = checked; });
+            });
+        });
+        document.getElementById('export-cancel-btn').addEventListener('click', hideCandidateModal);
+        document.getElementById('export-confirm-btn').addEventListener('click', handleExport);
+
+        openModal();
+    }
+
+    function readExportOptions() {
+        return {
+            format: modalBody.querySelector('input[name="export-format"]:checked').value,
+            filename: sanitizeFilename(document.getElementById('export-filename').value),
+            scope: document.getElementById('export-scope').value,
+            columns: Array.from(modalBody.querySelectorAll('.export-column:checked'), input => input.value),
+            sheets: Array.from(modalBody.querySelectorAll('.export-sheet:checked'), input => input.value)
+        };
+    }
+
+    function sanitizeFilename(value) {
+        const name = value.trim().replace(/\.(xlsx|csv|json|pdf)$/i, '').replace(/[\\/:*?"<>|]+/g, '_');
+        return name || DEFAULT_EXPORT_FILENAME;
+    }
+
+    function handleExport() {
+        const options = readExportOptions();
+        const candidates = getExportCandidates(options.scope);
+        const fileName = `${options.filename}.${EXPORT_FORMATS[options.format].extension}`;
+
+        if (options.format !== 'pdf' && options.columns.length === 0) {
+            alert("Choose at least one column to export.");
+            return;
+        }
+        if (options.format === 'xlsx' && options.sheets.length === 0) {
+            alert("Choose at least one sheet to export.");
+            return;
+        }
+        if (candidates.length === 0) {
+            alert("There are no candidates to export for this selection.");
+            return;
+        }
+
+        try {
+            if (options.format === 'xlsx') {
+                XLSX.writeFile(buildExportWorkbook(candidates, options), fileName);
+            } else if (options.format === 'csv') {
+                const workbook = XLSX.utils.book_new();
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(buildCandidateRows(candidates, options.columns)), "Candidates");
+                XLSX.writeFile(workbook, fileName, { bookType: 'csv' });
+            } else if (options.format === 'json') {
+                downloadBlob(JSON.stringify(buildJsonExport(candidates, options), null, 2), fileName, 'application/json');
+            } else {
+                if (!openShortlistReport(candidates, options.filename)) return;
+            }
+            exportOptions = options;
+            hideCandidateModal();
+        } catch (error) {
+            console.error("Export failed:", error);
+            alert(`Export failed: ${error.message}`);
+        }
+    }
+
+    function downloadBlob(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function buildCandidateRows(candidates, columnKeys) {
+        const columns = EXPORT_COLUMNS.filter(column => columnKeys.includes(column.key));
+        return candidates.map(cv => Object.fromEntries(columns.map(column => [column.label, column.value(cv)])));
+    }
+
+    function setColumnWidths(worksheet, rows) {
+        if (rows.length === 0) return;
+        worksheet["!cols"] = Object.keys(rows[0]).map(header => {
+            const lengths = rows.map(row => row[header] != null ? String(row[header]).length : 0);
+            lengths.push(header.length);
+            // Long free text such as summaries and justifications would otherwise make unusably wide columns.
+            return { wch: Math.min(Math.max(...lengths), 80) + 2 };
+        });
+    }
+
+    function appendSheet(workbook, rows, name, usedSheetNames) {
+        const worksheet = XLSX.utils.json_to_sheet(rows);
+        setColumnWidths(worksheet, rows);
+        XLSX.utils.book_append_sheet(workbook, worksheet, toSheetName(name, usedSheetNames));
+    }
+
+    function buildExportWorkbook(candidates, options) {
+        const workbook = XLSX.utils.book_new();
+        const usedSheetNames = new Set();
+        const inScope = new Set(candidates);
+        const roles = getRankedRoles();
+
+        if (options.sheets.includes('candidates')) {
+            appendSheet(workbook, buildCandidateRows(candidates, options.columns), "Candidates", usedSheetNames);
+        }
+
+        if (options.sheets.includes('skills')) {
+            const skillRows = candidates.flatMap(cv => (cv.skills || []).map(skill => ({
+                "Candidate ID": cv.candidateId,
+                "Name": cv.name || 'N/A',
+                "Skill": skill,
+                "Normalised Skill": canonicalSkill(skill)
+            })));
+            if (skillRows.length > 0) appendSheet(workbook, skillRows, "Skills", usedSheetNames);
+        }
+
+        if (options.sheets.includes('comparison')) {
+            roles.forEach(jd => {
+                const rankingRows = comparisonRuns[jd.id].map((result, index) => ({ result, rank: index + 1, candidate: findComparedCandidate(result) }))
+                    .filter(({ candidate }) => candidate && inScope.has(candidate))
+                    .map(({ result, rank, candidate }) => ({
+                        "Rank": rank,
+                        "Candidate ID": candidate.candidateId,
+                        "Name": result.name || 'N/A',
+                        "Score": result.score,
+                        "Must-haves": result.gatePassed === false ? `Fails: ${(result.failedMustHaves || []).join(', ')}` : result.gatePassed ? 'Pass' : '',
+                        "Experience (Yrs)": candidate.totalExperienceYears ?? 0,
+                        "Discipline": candidate.discipline || 'N/A',
+                        "Industry": candidate.industry || 'N/A',
+                        "Shortlisted": candidate.shortlisted ? 'Yes' : '',
+                        "Justification": result.justification || '',
+                        "Source File": getSourceFiles(candidate).join(', ')
+                    }));
+                if (rankingRows.length) appendSheet(workbook, rankingRows, `Ranking - ${jd.name}`, usedSheetNames);
+            });
+
+            if (roles.length > 1) {
+                const { rows } = buildRoleMatrix(roles);
+                appendSheet(workbook, rows.filter(({ cv }) => inScope.has(cv)).map(({ cv, cells, bestIndex }) => ({
+                    "Name": cv.name || 'N/A',
+                    ...Object.fromEntries(roles.map((jd, i) => [jd.name, cells[i] ? cells[i].score : ''])),
+                    "Best Role": bestIndex >= 0 ? roles[bestIndex].name : 'N/A'
+                })), "Role Matrix", usedSheetNames);
+            }
+        }
+
+        if (options.sheets.includes('editHistory')) {
+            const editRows = candidates.flatMap(cv => Object.entries(cv.fieldHistory || {}).flatMap(([field, history]) => history
+                .filter(entry => entry.by === 'human')
+                .map(entry => ({
+                    "Name": cv.name || 'N/A',
+                    "Field": EDITABLE_FIELDS[field].label,
+                    "AI Value": formatFieldValue(field, history[0].value),
+                    "Edited Value": formatFieldValue(field, entry.value),
+                    "Edited At": new Date(entry.editedAt).toLocaleString()
+                }))));
+            if (editRows.length > 0) appendSheet(workbook, editRows, "Edit History", usedSheetNames);
+        }
+
+        if (options.sheets.includes('metadata')) {
+            appendSheet(workbook, buildExportMetadata(candidates, options).map(([Field, Value]) => ({ Field, Value })), "Metadata", usedSheetNames);
+        }
+
+        // Optional sheets can all be empty for a selection; a workbook still needs at least one.
+        if (workbook.SheetNames.length === 0) {
+            appendSheet(workbook, buildCandidateRows(candidates, options.columns), "Candidates", usedSheetNames);
+        }
+        return workbook;
+    }
+
+    function buildExportMetadata(candidates, options) {
+        return [
+            ["Exported At", new Date().toLocaleString()],
+            ["Session", currentSession ? currentSession.name : ''],
+            ["Job Descriptions", jobDescriptions.map(jd => jd.name).join(', ') || 'None'],
+            ["Ranked Against", getRankedRoles().map(jd => jd.name).join(', ') || 'Not ranked'],
+            ["Files Processed", sessionFiles.length],
+            ["Files Skipped", skippedFiles.length],
+            ["Candidates in Pool", processedCVs.length],
+            ["Candidates Exported", candidates.length],
+            ["Selection", { all: 'All candidates', shortlisted: 'Shortlisted', selected: 'Selected candidates', filtered: `Filter: ${describeVisibleFilter()}` }[options.scope]]
+        ];
+    }
+
+    function getCandidateScores(cv) {
+        return getRankedRoles().flatMap(jd => {
+            const index = comparisonRuns[jd.id].findIndex(result => findComparedCandidate(result) === cv);
+            if (index === -1) return [];
+            const result = comparisonRuns[jd.id][index];
+            return [{ jobDescription: jd.name, rank: index + 1, score: result.score, gatePassed: result.gatePassed, failedMustHaves: result.failedMustHaves || [], justification: result.justification || '' }];
+        });
+    }
+
+    function buildJsonExport(candidates, options) {
+        const columns = EXPORT_COLUMNS.filter(column => options.columns.includes(column.key));
+        return {
+            exportedAt: new Date().toISOString(),
+            metadata: Object.fromEntries(buildExportMetadata(candidates, options)),
+            candidates: candidates.map(cv => ({
+                ...Object.fromEntries(columns.map(column => [column.key, (column.json || column.value)(cv)])),
+                ...(options.columns.includes('editedFields') && cv.fieldHistory ? { fieldHistory: cv.fieldHistory } : {}),
+                scores: getCandidateScores(cv)
+            }))
+        };
+    }
+
+    function openShortlistReport(candidates, title) {
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            alert("The report window was blocked. Allow pop-ups for this site and try again.");
+            return false;
+        }
+
+        // Blind review carries over to the printout: aliases instead of names, and no contact details or file names.
+        const blind = privacySettings.blindReview;
+        const field = (label, value) => `<div class="field"><h3>${label}</h3><p>${escapeHtml(value || 'N/A')}</p></div>`;
+        const summaryRows = candidates.map(cv => {
+            const best = getCandidateScores(cv).sort((a, b) => b.score - a.score)[0];
+            return `<tr><td>${escapeHtml(getDisplayName(cv))}</td><td>${escapeHtml(cv.stage)}</td><td>${cv.rating ? renderStars(cv.rating) : ''}</td><td>${cv.totalExperienceYears ?? 0}</td><td>${best ? `${best.score} (${escapeHtml(best.jobDescription)})` : ''}</td></tr>`;
+        }).join('');
+        const pages = candidates.map(cv => `
+            <section class="page">
+                <h2>${escapeHtml(getDisplayName(cv))}</h2>
+                <p class="meta">${escapeHtml(cv.stage)}${cv.rating ? ` &bull; ${renderStars(cv.rating)}` : ''}${cv.tags.length ? ` &bull; ${cv.tags.map(escapeHtml).join(', ')}` : ''}</p>
+                ${field('Summary', blindText(cv.summary, cv))}
+                <div class="grid">
+                    ${field('Total Experience', `${cv.totalExperienceYears ?? 0} years`)}
+                    ${field('Discipline', cv.discipline)}
+                    ${field('Primary Industry', cv.industry)}
+                    ${field('Education', cv.education)}
+                    ${field('Recent Companies', cv.companies)}
+                    ${blind ? '' : field('Contact', [...(cv.emails || []), ...(cv.phones || [])].join(', '))}
+                </div>
+                ${field('Key Skills', (cv.skills || []).join(', '))}
+                ${getCandidateScores(cv).map(score => `
+                    <div class="field">
+                        <h3>${escapeHtml(score.jobDescription)}: ${score.score}/100 (rank ${score.rank})${score.gatePassed === false ? ` &ndash; fails ${escapeHtml(score.failedMustHaves.join(', '))}` : ''}</h3>
+                        <p>${escapeHtml(blindText(score.justification, cv))}</p>
+                    </div>
+                `).join('')}
+                ${cv.notes ? field('Reviewer Notes', blindText(cv.notes, cv)) : ''}
+                ${blind ? '' : `<p class="source">Source: ${escapeHtml(getSourceFiles(cv).join(', '))}</p>`}
+            </section>
+        `).join('');
+
+        reportWindow.document.write(`<!DOCTYPE html>
+            <html lang="en"><head><meta charset="UTF-8"><title>${escapeHtml(title)}</title>
+            <style>
+                body { font-family: 'Inter', Arial, sans-serif; color: #1e293b; margin: 0; }
+                .page { padding: 2rem; page-break-after: always; }
+                .page:last-child { page-break-after: auto; }
+                h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+                h2 { font-size: 1.35rem; margin: 0; }
+                h3 { font-size: 0.75rem; text-transform: uppercase; color: #475569; margin: 0 0 0.15rem; }
+                p { margin: 0; font-size: 0.85rem; line-height: 1.4; white-space: pre-wrap; }
+                .meta, .source { color: #64748b; margin: 0.25rem 0 1rem; }
+                .source { margin-top: 1rem; font-size: 0.7rem; }
+                .field { margin-bottom: 0.75rem; }
+                .grid { display: grid; grid-template-columns: 1fr 1fr; column-gap: 1.5rem; }
+                table { width: 100%; border-collapse: collapse; font-size: 0.85rem; margin-top: 1rem; }
+                th, td { text-align: left; padding: 0.4rem; border-bottom: 1px solid #e2e8f0; }
+                @page { margin: 1.5cm; }
+                @media print { .page { padding: 0; } }
+            </style></head>
+            <body>
+                <section class="page">
+                    <h1>Candidate Shortlist</h1>
+                    <p class="meta">${escapeHtml(currentSession ? currentSession.name : '')} &bull; ${candidates.length} candidate${candidates.length === 1 ? '' : 's'} &bull; ${escapeHtml(new Date().toLocaleString())}${jobDescriptions.length ? ` &bull; ${jobDescriptions.map(jd => escapeHtml(jd.name)).join(', ')}` : ''}</p>
+                    <table><thead><tr><th>Name</th><th>Stage</th><th>Rating</th><th>Experience (Yrs)</th><th>Best Score</th></tr></thead><tbody>${summaryRows}</tbody></table>
+                </section>
+                ${pages}
+            </body></html>`);
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+        return true;
+    }
+
+    // --- Import ---
+    const IMPORT_SHEET_NAMES = ["Candidates", "CV Analysis Results"];
+
+    async function handleImportFileSelect(e) {
+        const file = e.target.files[0];
+        importInput.value = '';
+        if (!file) return;
+
+        try {
+            const extension = getFileExtension(file.name);
+            const buffer = await file.arrayBuffer();
+            const rows = extension === 'json' ? readJsonImport(buffer) : readWorkbookImport(buffer);
+            if (rows.length === 0) throw new Error("No candidate rows were found in the file.");
+
+            const knownIds = new Set(processedCVs.flatMap(cv => [cv.candidateId, ...(cv.mergedCandidateIds || [])]));
+            const imported = [];
+            const problems = [];
+            rows.forEach(({ row, label }) => {
+                try {
+                    const cv = parseImportedCandidate(row, file.name);
+                    if (knownIds.has(cv.candidateId)) throw new Error(`${cv.name} is already in this session`);
+                    knownIds.add(cv.candidateId);
+                    imported.push(cv);
+                } catch (error) {
+                    problems.push(`${label}: ${error.message}`);
+                }
+            });
+
+            if (imported.length > 0) addImportedCandidates(imported, file.name);
+            showImportReport(file.name, imported.length, problems);
+        } catch (error) {
+            console.error("Error importing results:", error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    function readJsonImport(buffer) {
+        const data = JSON.parse(decodeTextBuffer(buffer));
+        const candidates = Array.isArray(data) ? data : data && data.candidates;
+        if (!Array.isArray(candidates)) throw new Error("Expected an exported JSON file with a \"candidates\" list.");
+        return candidates.map((row, i) => ({ row, label: `Candidate ${i + 1}` }));
+    }
+
+    function readWorkbookImport(buffer) {
+        const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array' });
+        const sheetName = IMPORT_SHEET_NAMES.find(name => workbook.SheetNames.includes(name)) || workbook.SheetNames[0];
+        const labels = new Map(EXPORT_COLUMNS.map(column => [column.label.toLowerCase(), column.key]));
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '' });
+        if (rows.length > 0 && !Object.keys(rows[0]).some(header => labels.get(header.trim().toLowerCase()) === 'name')) {
+            throw new Error(`The "${sheetName}" sheet has no Name column, so it does not look like an export from this app.`);
+        }
+        // Spreadsheet headers are export labels; map them back to candidate fields. Row 1 is the header.
+        return rows.map((raw, i) => ({
+            row: Object.fromEntries(Object.entries(raw)
+                .map(([header, value]) => [labels.get(header.trim().toLowerCase()), value])
+                .filter(([key]) => key)),
+            label: `Row ${i + 2}`
+        }));
+    }
+
+    function importedText(value) {
+        const text = String(value ?? '').trim();
+        return text === 'N/A' ? '' : text;
+    }
+
+    function importedList(value) {
+        if (Array.isArray(value)) return value.map(importedText).filter(Boolean);
+        return importedText(value).split(',').map(entry => entry.trim()).filter(Boolean);
+    }
+
+    function parseImportedCandidate(row, importFileName) {
+        if (!row || typeof row !== 'object') throw new Error("not a candidate record");
+
+        const name = importedText(row.name);
+        if (!name) throw new Error("missing name");
+
+        const experience = row.totalExperienceYears === '' || row.totalExperienceYears === undefined ? 0 : Number(row.totalExperienceYears);
+        if (!Number.isFinite(experience) || experience < 0) throw new Error(`experience "${row.totalExperienceYears}" is not a number of years`);
+
+        const listedStage = importedText(row.stage) || 'New';
+        if (!PIPELINE_STAGES.includes(listedStage)) throw new Error(`unknown stage "${listedStage}"`);
+        // Older exports could star a candidate who was still New or Screened; the star now implies the Shortlisted stage.
+        const starred = row.shortlisted === true || /^(yes|true)$/i.test(importedText(row.shortlisted));
+        const stage = starred && ['New', 'Screened'].includes(listedStage) ? 'Shortlisted' : listedStage;
+
+        const rating = row.rating === '' || row.rating === undefined ? 0 : Number(row.rating);
+        if (!Number.isInteger(rating) || rating < 0 || rating > MAX_RATING) throw new Error(`rating "${row.rating}" must be a whole number from 0 to ${MAX_RATING}`);
+
+        const candidateId = importedText(row.candidateId);
+        const sourceFiles = importedList(row.sourceFiles);
+        const cv = {
+            name,
+            totalExperienceYears: experience,
+            companies: importedText(row.companies),
+            education: importedText(row.education),
+            discipline: importedText(row.discipline),
+            industry: importedText(row.industry),
+            skills: importedList(row.skills),
+            summary: importedText(row.summary),
+            emails: importedList(row.emails),
+            phones: importedList(row.phones),
+            candidateId: /^cand-[\w-]+$/.test(candidateId) ? candidateId : createCandidateId(),
+            filename: sourceFiles[0] || importFileName,
+            textHash: null,
+            importedFrom: importFileName,
+            stage,
+            notes: importedText(row.notes),
+            tags: importedList(row.tags),
+            rating,
+            shortlisted: SHORTLIST_STAGES.includes(stage)
+        };
+        if (sourceFiles.length > 1) cv.mergedFilenames = sourceFiles;
+        // Only JSON exports carry the edit history itself; spreadsheets just list which fields were edited.
+        if (row.fieldHistory && typeof row.fieldHistory === 'object') {
+            cv.fieldHistory = Object.fromEntries(Object.entries(row.fieldHistory).filter(([field, history]) => EDITABLE_FIELDS[field] && Array.isArray(history) && history.length > 0));
+        }
+        return cv;
+    }
+
+    function addImportedCandidates(candidates, importFileName) {
+        if (processedCVs.length === 0 && sessionFiles.length === 0) {
+            currentSession.name = `Imported: ${importFileName}`;
+            currentSessionName.textContent = currentSession.name;
+        }
+
+        processedCVs.push(...candidates);
+        const message = `Imported ${candidates.length} candidate${candidates.length === 1 ? '' : 's'}`;
+        sessionFiles.push({ filename: importFileName, textHash: null, status: 'success', message });
+        addStatusRow(importFileName, message, 'success');
+
+        uploadSection.classList.add('hidden');
+        processingSection.classList.remove('hidden');
+        welcomeScreen.classList.add('hidden');
+        resultsDashboard.classList.remove('hidden');
+        downloadBtn.disabled = false;
+        downloadHint.classList.add('hidden');
+        renderCandidateCards();
+        persistSession();
+    }
+
+    function showImportReport(importFileName, importedCount, problems) {
+        modalName.textContent = "Import Report";
+        modalBody.innerHTML = `
+            <div class="space-y-4 text-sm">
+                <p class="text-slate-800">Imported <strong>${importedCount}</strong> candidate${importedCount === 1 ? '' : 's'} from <span class="font-mono">${escapeHtml(importFileName)}</span>.
+                    ${importedCount ? 'Possible duplicates of candidates already in this session are flagged on their cards for review.' : ''}</p>
+                ${problems.length ? `
+                    <div class="p-3 rounded-lg border border-red-200 bg-red-50">
+                        <h4 class="font-semibold text-red-800">${problems.length} row${problems.length === 1 ? ' was' : 's were'} skipped</h4>
+                        <ul class="mt-2 max-h-60 overflow-y-auto list-disc list-inside text-red-700">
+                            ${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+                <div class="flex justify-end">
+                    <button id="import-report-close-btn" class="py-2 px-4 rounded-md font-semibold bg-indigo-600 text-white hover:bg-indigo-700">OK</button>
+                </div>
+            </div>
+        `;
+        document.getElementById('import-report-close-btn').addEventListener('click', hideCandidateModal);
+        openModal();
+    }
+
+    // --- Privacy ---
+    const PRIVACY_SETTINGS_ID = 'privacy';
+    // Patterns with a capture group mask only the group, so labels such as "Date of birth:" stay readable for the AI.
+    const REDACTION_PATTERNS = [
+        { id: 'email', label: 'Email addresses', placeholder: 'EMAIL', regex: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+        { id: 'profile', label: 'Profile links (LinkedIn, GitHub, social)', placeholder: 'PROFILE_URL', regex: /\b(?:https?:\/\/)?(?:www\.)?(?:linkedin\.com|github\.com|facebook\.com|twitter\.com|x\.com|instagram\.com)\/[^\s,;)]+/gi },
+        { id: 'nationalId', label: 'National ID, passport and tax numbers', placeholder: 'ID_NUMBER', regex: /\b(?:national id(?:entity)?(?: card)?|id card|id|passport|ssn|social security|nino|ni|cnic|nic|aadhaar|tax id|tax file|tin)(?: no\.?| number)?(?![a-z])\s*[:#-]?\s*([A-Z]{0,3}\d[\d -]{3,18}\d[A-Z]?)/gi },
+        { id: 'ssn', label: 'US social security numbers', placeholder: 'ID_NUMBER', regex: /\b\d{3}-\d{2}-\d{4}\b/g },
+        { id: 'nino', label: 'UK national insurance numbers', placeholder: 'ID_NUMBER', regex: /\b[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g },
+        { id: 'dateOfBirth', label: 'Dates of birth', placeholder: 'DATE_OF_BIRTH', regex: /\b(?:date of birth|birth ?date|d\.?o\.?b\.?|born(?: on)?)(?![a-z])\s*[:-]?\s*([0-9A-Za-z][0-9A-Za-z ,./-]{4,25}\d)/gi },
+        { id: 'address', label: 'Home addresses', placeholder: 'ADDRESS', regex: /\b(?:home |postal |residential )?(?:address|addr\.)\s*[:-]\s*([^\n]{5,120})/gi },
+        { id: 'street', label: 'Street addresses', placeholder: 'ADDRESS', regex: /\b\d{1,5}[A-Za-z]?,? (?:[A-Z][a-z]+ ){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Lane|Ln|Drive|Dr|Boulevard|Blvd|Court|Ct|Close|Crescent|Way|Place|Pl|Terrace)\b\.?/g },
+        { id: 'postcode', label: 'UK postcodes', placeholder: 'POSTCODE', regex: /\b[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}\b/g },
+        { id: 'phone', label: 'Phone numbers', placeholder: 'PHONE', regex: /\+?\d[\d\s().-]{7,}\d/g, digits: [9, 15] }
+    ];
+    let privacySettings = { id: PRIVACY_SETTINGS_ID, redactionEnabled: true, disabledPatterns: [], customPatterns: [], blindReview: false };
+
+    async function loadPrivacySettings() {
+        try {
+            const saved = await dbRequest(SETTINGS_STORE, 'readonly', store => store.get(PRIVACY_SETTINGS_ID));
+            if (saved) privacySettings = { ...privacySettings, ...saved };
+        } catch (error) {
+            console.error("Could not load privacy settings:", error);
+        }
+        renderPrivacySettings();
+        applyBlindReview();
+    }
+
+    function savePrivacySettings() {
+        return dbRequest(SETTINGS_STORE, 'readwrite', store => store.put(privacySettings))
+            .catch(error => console.error("Could not save privacy settings:", error));
+    }
+
+    function renderPrivacySettings() {
+        redactionEnabledInput.checked = privacySettings.redactionEnabled;
+        blindReviewInput.checked = privacySettings.blindReview;
+        redactionPatternList.innerHTML = REDACTION_PATTERNS.map(pattern => `
+            <label class="flex items-center gap-2">
+                <input type="checkbox" class="redaction-pattern-toggle" value="${pattern.id}" ${privacySettings.disabledPatterns.includes(pattern.id) ? '' : 'checked'} ${privacySettings.redactionEnabled ? '' : 'disabled'}>
+                ${pattern.label}
+            </label>
+        `).join('');
+        customPatternList.innerHTML = privacySettings.customPatterns.map((pattern, i) => `
+            <div class="flex items-center gap-1" data-index="${i}">
+                <input type="text" class="custom-pattern-label w-24 text-xs p-1 border border-slate-300 rounded-md" value="${escapeHtml(pattern.label)}" placeholder="Label">
+                <input type="text" class="custom-pattern-regex flex-grow min-w-0 text-xs p-1 font-mono border border-slate-300 rounded-md" value="${escapeHtml(pattern.pattern)}" placeholder="Regular expression">
+                <button class="custom-pattern-remove-btn text-slate-400 hover:text-red-600 text-lg leading-none" title="Remove">&times;</button>
+            </div>
+        `).join('');
+    }
+
+    function handlePrivacySettingsChange(e) {
+        if (e.target === redactionEnabledInput) {
+            privacySettings.redactionEnabled = e.target.checked;
+            renderPrivacySettings();
+        } else if (e.target.classList.contains('redaction-pattern-toggle')) {
+            privacySettings.disabledPatterns = Array.from(redactionPatternList.querySelectorAll('.redaction-pattern-toggle:not(:checked)'), input => input.value);
+        } else if (e.target.closest('#custom-pattern-list')) {
+            const row = e.target.closest('[data-index]');
+            const label = row.querySelector('.custom-pattern-label').value.trim();
+            const regexInput = row.querySelector('.custom-pattern-regex');
+            const error = validateCustomPattern(regexInput.value);
+            regexInput.classList.toggle('border-red-500', Boolean(error));
+            regexInput.title = error || '';
+            // An invalid pattern is kept in the form for fixing but never saved, so it cannot break processing.
+            if (error) return;
+            privacySettings.customPatterns[Number(row.dataset.index)] = { label: label || 'Custom', pattern: regexInput.value };
+        } else {
+            return;
+        }
+        savePrivacySettings();
+    }
+
+    function validateCustomPattern(pattern) {
+        if (!pattern.trim()) return "Enter a regular expression.";
+        try {
+            if (new RegExp(pattern, 'i').test('')) return "The pattern matches empty text.";
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    }
+
+    function addCustomPattern() {
+        privacySettings.customPatterns.push({ label: '', pattern: '' });
+        renderPrivacySettings();
+        const inputs = customPatternList.querySelectorAll('.custom-pattern-label');
+        inputs[inputs.length - 1].focus();
+    }
+
+    function removeCustomPattern(e) {
+        const btn = e.target.closest('.custom-pattern-remove-btn');
+        if (!btn) return;
+        privacySettings.customPatterns.splice(Number(btn.closest('[data-index]').dataset.index), 1);
+        renderPrivacySettings();
+        savePrivacySettings();
+    }
+
+    function getActiveRedactionPatterns() {
+        const builtIn = REDACTION_PATTERNS.filter(pattern => !privacySettings.disabledPatterns.includes(pattern.id));
+        const custom = privacySettings.customPatterns
+            .filter(pattern => !validateCustomPattern(pattern.pattern))
+            .map(pattern => ({ placeholder: pattern.label.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '') || 'CUSTOM', regex: new RegExp(pattern.pattern, 'gi') }));
+        return [...custom, ...builtIn];
+    }
+
+    function redactText(text) {
+        const values = {};
+        if (!privacySettings.redactionEnabled) return { text, values };
+
+        const counters = {};
+        const placeholderFor = (type, original) => {
+            const existing = Object.keys(values).find(key => values[key] === original);
+            if (existing) return existing;
+            counters[type] = (counters[type] || 0) + 1;
+            const key = `[${type}_${counters[type]}]`;
+            values[key] = original;
+            return key;
+        };
+
+        let redacted = text;
+        getActiveRedactionPatterns().forEach(({ placeholder, regex, digits }) => {
+            redacted = redacted.replace(regex, (match, group) => {
+                const target = (typeof group === 'string' && group ? group : match).trim();
+                if (!target || /^\[[A-Z0-9_]+_\d+\]$/.test(target)) return match;
+                if (digits) {
+                    const count = target.replace(/\D/g, '').length;
+                    if (count < digits[0] || count > digits[1]) return match;
+                }
+                return match.replace(target, placeholderFor(placeholder, target));
+            });
+        });
+        return { text: redacted, values };
+    }
+
+    function restoreRedactedValues(value, values) {
+        if (typeof value === 'string') return Object.entries(values).reduce((text, [key, original]) => text.split(key).join(original), value);
+        if (Array.isArray(value)) return value.map(item => restoreRedactedValues(item, values));
+        return value;
+    }
+
+    function maskRedactedValues(value, values) {
+        if (!values) return value;
+        // Longest originals first so a value that contains another is masked whole.
+        const entries = Object.entries(values).sort((a, b) => b[1].length - a[1].length);
+        if (typeof value === 'string') return entries.reduce((text, [key, original]) => text.split(original).join(key), value);
+        if (Array.isArray(value)) return value.map(item => maskRedactedValues(item, values));
+        return value;
+    }
+
+    function describeRedactions(values) {
+        const counts = countBy(Object.keys(values).map(key => key.replace(/^\[|_\d+\]$/g, '').toLowerCase().replace(/_/g, ' ')));
+        return counts.map(c => `${c.count} ${c.label}`).join(', ');
+    }
+
+    function setBlindReview(enabled) {
+        privacySettings.blindReview = enabled;
+        savePrivacySettings();
+        hideCandidateModal();
+        applyBlindReview();
+    }
+
+    function applyBlindReview() {
+        blindReviewInput.checked = privacySettings.blindReview;
+        renderCandidateCards();
+        renderComparisonRuns();
+    }
+
+    function getDisplayName(cv) {
+        if (!cv) return privacySettings.blindReview ? 'Candidate' : 'N/A';
+        return privacySettings.blindReview ? `Candidate ${cv.candidateId.slice(-4).toUpperCase()}` : (cv.name || 'N/A');
+    }
+
+    function getResultDisplayName(result) {
+        const candidate = findComparedCandidate(result);
+        return candidate ? getDisplayName(candidate) : (privacySettings.blindReview ? 'Candidate' : (result.name || 'N/A'));
+    }
+
+    function blindText(text, cv) {
+        if (!privacySettings.blindReview || !text || !cv) return text;
+        const masked = maskRedactedValues(text, cv.pii);
+        if (!cv.name) return masked;
+        // AI summaries and justifications often use the candidate's name; swap it, and each part of it, for the alias.
+        const parts = [cv.name, ...cv.name.split(/\s+/).filter(part => part.length > 2)]
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return String(masked).replace(new RegExp(`\\b(?:${parts.join('|')})\\b`, 'gi'), getDisplayName(cv));
+    }
+
+    // --- Session Persistence (IndexedDB) ---
+    const DB_NAME = 'sil-cv-analyzer';
+    const DB_VERSION = 5;
+    const SESSION_STORE = 'sessions';
+    const QUEUE_STORE = 'queue';
+    const RUBRIC_STORE = 'rubrics';
+    const SOURCE_STORE = 'sources';
+    const SETTINGS_STORE = 'settings';
+    let dbPromise = null;
+
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) return reject(new Error("IndexedDB is not supported in this browser."));
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                        db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+                        const queueStore = db.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+                        queueStore.createIndex('sessionId', 'sessionId');
+                    }
+                    if (!db.objectStoreNames.contains(RUBRIC_STORE)) {
+                        db.createObjectStore(RUBRIC_STORE, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(SOURCE_STORE)) {
+                        db.createObjectStore(SOURCE_STORE, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+                        db.createObjectStore(SETTINGS_STORE, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    async function dbRequest(storeName, mode, operation) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async function hashText(text) {
+        // crypto.subtle is only exposed on secure origins; fall back to FNV-1a when served over plain HTTP.
+        if (window.crypto && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+            return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+        }
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return `fnv-${hash.toString(16).padStart(8, '0')}`;
+    }
+
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    }
+
+    function createSession(name) {
+        const now = new Date().toISOString();
+        return {
+            id: `session-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name || `Session ${new Date().toLocaleString()}`,
+            createdAt: now,
+            updatedAt: now,
+            files: [],
+            cvs: [],
+            jobDescriptions: [],
+            comparisonRuns: {},
+            activeComparisonView: 'matrix',
+            dismissedDuplicates: [],
+            skippedFiles: []
+        };
+    }
+
+    function recordSessionFile(filename, textHash, status, message) {
+        const entry = { filename, textHash, status, message };
+        const index = sessionFiles.findIndex(f => f.filename === filename);
+        if (index >= 0) sessionFiles[index] = entry;
+        else sessionFiles.push(entry);
+        persistSession();
+    }
+
+    async function persistSession() {
+        if (!currentSession) return;
+        // Don't clutter the picker with sessions that never got past the empty state.
+        if (sessionFiles.length === 0 && skippedFiles.length === 0 && processedCVs.length === 0 && jobDescriptions.length === 0) return;
+
+        Object.assign(currentSession, {
+            updatedAt: new Date().toISOString(),
+            files: sessionFiles,
+            cvs: processedCVs,
+            jobDescriptions,
+            comparisonRuns,
+            activeComparisonView,
+            dismissedDuplicates,
+            skippedFiles,
+            rubric: readRubricForm()
+        });
+
+        try {
+            await dbRequest(SESSION_STORE, 'readwrite', store => store.put(currentSession));
+            renderSessionList();
+        } catch (error) {
+            console.error("Could not save session:", error);
+        }
+    }
+
+    async function listSessions() {
+        const sessions = await dbRequest(SESSION_STORE, 'readonly', store => store.getAll());
+        return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    async function renderSessionList() {
+        currentSessionName.textContent = currentSession ? currentSession.name : '';
+        let sessions;
+        try {
+            sessions = await listSessions();
+        } catch (error) {
+            console.error("Could not load saved sessions:", error);
+            sessionList.innerHTML = `<li class="py-2 text-xs text-red-600">Saved sessions are unavailable: ${escapeHtml(error.message)}</li>`;
+            return;
+        }
+
+        if (sessions.length === 0) {
+            sessionList.innerHTML = `<li class="py-2 text-xs text-slate-500">No saved sessions yet.</li>`;
+            updateMergeButton();
+            return;
+        }
+
+        sessionList.innerHTML = sessions.map(session => {
+            const isCurrent = currentSession && session.id === currentSession.id;
+            return `
+                <li class="py-2 flex items-center gap-2 ${isCurrent ? 'font-semibold' : ''}">
+                    <input type="checkbox" class="session-select-checkbox" data-session-id="${session.id}" title="Select for merge">
+                    <button class="session-open-btn flex-grow text-left truncate ${isCurrent ? 'text-indigo-700' : 'text-slate-700 hover:text-indigo-700'}" data-session-id="${session.id}" title="${escapeHtml(session.name)}">
+                        <span class="block truncate">${escapeHtml(session.name)}</span>
+                        <span class="block text-xs font-normal text-slate-500">${session.cvs.length} CVs &bull; ${new Date(session.updatedAt).toLocaleString()}</span>
+                    </button>
+                    <button class="session-rename-btn text-xs text-slate-500 hover:text-indigo-700" data-session-id="${session.id}">Rename</button>
+                    <button class="session-delete-btn text-xs text-slate-500 hover:text-red-600" data-session-id="${session.id}">Delete</button>
+                </li>
+            `;
+        }).join('');
+
+        sessionList.querySelectorAll('.session-open-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => openSession(e.currentTarget.dataset.sessionId));
+        });
+        sessionList.querySelectorAll('.session-rename-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => renameSession(e.currentTarget.dataset.sessionId));
+        });
+        sessionList.querySelectorAll('.session-delete-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => deleteSession(e.currentTarget.dataset.sessionId));
+        });
+        sessionList.querySelectorAll('.session-select-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', updateMergeButton);
+        });
+        updateMergeButton();
+    }
+
+    function getSelectedSessionIds() {
+        return Array.from(sessionList.querySelectorAll('.session-select-checkbox:checked')).map(cb => cb.dataset.sessionId);
+    }
+
+    function updateMergeButton() {
+        mergeSessionsBtn.disabled = getSelectedSessionIds().length < 2;
+    }
+
+    async function openSession(id) {
+        try {
+            const session = await dbRequest(SESSION_STORE, 'readonly', store => store.get(id));
+            if (!session) return;
+            restoreSession(session);
+        } catch (error) {
+            console.error("Could not open session:", error);
+            alert(`Could not open session: ${error.message}`);
+        }
+    }
+
+    function restoreSession(session) {
+        resetState();
+        currentSession = session;
+        processedCVs = session.cvs || [];
+        processedCVs.forEach(cv => {
+            cv.candidateId = cv.candidateId || createCandidateId();
+            ensurePipelineFields(cv);
+        });
+        dismissedDuplicates = session.dismissedDuplicates || [];
+        skippedFiles = session.skippedFiles || [];
+        renderSkippedFiles();
+        if (session.rubric) fillRubricForm(session.rubric);
+        sessionFiles = session.files || [];
+        jobDescriptions = session.jobDescriptions || [];
+        comparisonRuns = session.comparisonRuns || {};
+        activeComparisonView = session.activeComparisonView || 'matrix';
+        // Sessions saved before multi-role matching held a single JD and its results.
+        if (!session.jobDescriptions && session.jdText) {
+            const legacyJD = { id: createJobDescriptionId(), name: session.jdName || 'Job Description', text: session.jdText, rubricId: '' };
+            jobDescriptions = [legacyJD];
+            if (session.comparisonResults && session.comparisonResults.length > 0) comparisonRuns[legacyJD.id] = session.comparisonResults;
+        }
+
+        uploadSection.classList.add('hidden');
+        processingSection.classList.remove('hidden');
+        welcomeScreen.classList.add('hidden');
+
+        const statusTypes = { success: 'success', error: 'error', pending: 'pending', cancelled: 'pending' };
+        sessionFiles.forEach(file => addStatusRow(file.filename, file.message || file.status, statusTypes[file.status] || 'error'));
+
+        renderJobDescriptionList();
+
+        if (processedCVs.length > 0) {
+            downloadBtn.disabled = false;
+            downloadHint.classList.add('hidden');
+            resultsDashboard.classList.remove('hidden');
+            renderCandidateCards();
+        }
+
+        renderComparisonRuns();
+
+        renderSessionList();
+        restoreQueue(session);
+    }
+
+    async function reopenInterruptedSession() {
+        const startingSession = currentSession;
+        try {
+            const [latest] = await listSessions();
+            // The user may have started a new batch while the lookup was in flight.
+            if (currentSession !== startingSession || jobQueue.length > 0) return;
+            if (latest && latest.files.some(file => file.status === 'pending')) restoreSession(latest);
+        } catch (error) {
+            console.error("Could not check for interrupted sessions:", error);
+        }
+    }
+
+    async function renameSession(id) {
+        try {
+            const session = await dbRequest(SESSION_STORE, 'readonly', store => store.get(id));
+            if (!session) return;
+            const name = prompt("Rename session:", session.name);
+            if (!name || !name.trim()) return;
+            session.name = name.trim();
+            if (currentSession && currentSession.id === id) currentSession.name = session.name;
+            await dbRequest(SESSION_STORE, 'readwrite', store => store.put(session));
+            renderSessionList();
+        } catch (error) {
+            console.error("Could not rename session:", error);
+            alert(`Could not rename session: ${error.message}`);
+        }
+    }
+
+    async function deleteSession(id) {
+        if (!confirm("Delete this saved session? This cannot be undone.")) return;
+        try {
+            const session = await dbRequest(SESSION_STORE, 'readonly', store => store.get(id));
+            await dbRequest(SESSION_STORE, 'readwrite', store => store.delete(id));
+            if (session) await deleteOrphanedSources((session.cvs || []).flatMap(cv => [cv.candidateId, ...(cv.mergedCandidateIds || [])]));
+            const queueKeys = await dbRequest(QUEUE_STORE, 'readonly', store => store.index('sessionId').getAllKeys(id));
+            await Promise.all(queueKeys.map(key => dbRequest(QUEUE_STORE, 'readwrite', store => store.delete(key))));
+            if (currentSession && currentSession.id === id) {
+                resetState();
+            } else {
+                renderSessionList();
+            }
+        } catch (error) {
+            console.error("Could not delete session:", error);
+            alert(`Could not delete session: ${error.message}`);
+        }
+    }
+
+    async function mergeSelectedSessions() {
+        const ids = getSelectedSessionIds();
+        if (ids.length < 2) return;
+
+        try {
+            const sessions = await Promise.all(ids.map(id => dbRequest(SESSION_STORE, 'readonly', store => store.get(id))));
+            const merged = createSession(`Merged: ${sessions.map(s => s.name).join(' + ')}`);
+            const seenHashes = new Set();
+            const seenFiles = new Set();
+
+            sessions.forEach(session => {
+                session.cvs.forEach(cv => {
+                    const key = cv.textHash || cv.filename;
+                    if (seenHashes.has(key)) return;
+                    seenHashes.add(key);
+                    merged.cvs.push(cv);
+                });
+                session.files.forEach(file => {
+                    const key = file.textHash || file.filename;
+                    if (seenFiles.has(key)) return;
+                    seenFiles.add(key);
+                    merged.files.push(file);
+                });
+                const sessionJDs = session.jobDescriptions || (session.jdText ? [{ id: createJobDescriptionId(), name: session.jdName || 'Job Description', text: session.jdText, rubricId: '' }] : []);
+                sessionJDs.forEach(jd => {
+                    if (!merged.jobDescriptions.some(existing => existing.name === jd.name && existing.text === jd.text)) merged.jobDescriptions.push(jd);
+                });
+            });
+
+            // Comparison scores were computed against each source pool and are not carried over.
+            await dbRequest(SESSION_STORE, 'readwrite', store => store.put(merged));
+            restoreSession(merged);
+        } catch (error) {
+            console.error("Could not merge sessions:", error);
+            alert(`Could not merge sessions: ${error.message}`);
+        }
+    }
+
+    // --- Text Extraction ---
+    const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'bmp'];
+    const IGNORED_FILE_NAMES = ['thumbs.db', 'desktop.ini'];
+    const cp1252Decoder = new TextDecoder('windows-1252');
+
+    // Maps a lower-case file extension to `async (arrayBuffer, extraction) => text`.
+    const TEXT_EXTRACTORS = {
+        pdf: extractPdfText,
+        docx: extractDocxText,
+        doc: extractDocText,
+        rtf: extractRtfText,
+        odt: extractOdtText,
+        txt: extractPlainText,
+        html: extractHtmlText,
+        htm: extractHtmlText,
+        ...Object.fromEntries(IMAGE_EXTENSIONS.map(ext => [ext, extractImageText]))
+    };
+
+    function getFileExtension(fileName) {
+        const parts = fileName.toLowerCase().split('.');
+        return parts.length > 1 ? parts.pop() : '';
+    }
+
+    function getUnsupportedReason(file) {
+        const name = file.name;
+        const extension = getFileExtension(name);
+        if (name.startsWith('.') || name.startsWith('~$') || IGNORED_FILE_NAMES.includes(name.toLowerCase())) return "System or temporary file";
+        if (!extension) return "No file extension";
+        if (!TEXT_EXTRACTORS[extension]) return `Unsupported format (.${extension})`;
+        if (IMAGE_EXTENSIONS.includes(extension) && !isOcrAvailable()) return "Image OCR library failed to load";
+        if (extension === 'odt' && typeof JSZip === 'undefined') return "OpenDocument library failed to load";
+        if (file.size === 0) return "Empty file (0 bytes)";
+        return null;
+    }
+
+    // `extraction` is optional: it receives OCR progress callbacks and, when OCR was needed, an `ocr` summary.
+    function extractTextFromFile(file, extraction = {}) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            const fileType = getFileExtension(file.name);
+            reader.onload = async (event) => {
+                try {
+                    const fileBuffer = event.target?.result;
+                    if (!fileBuffer || !(fileBuffer instanceof ArrayBuffer)) {
+                        return reject(new Error("Could not read file buffer."));
+                    }
+
+                    const extractor = TEXT_EXTRACTORS[fileType];
+                    if (!extractor) return reject(new Error("Unsupported file type"));
+                    resolve(await extractor(fileBuffer, extraction));
+                } catch (error) {
+                    if (error.name === 'PasswordException') {
+                        reject(new Error('Password-protected PDF. Remove the password and try again.'));
+                    } else if (error.message && (error.message.includes('Invalid PDF structure') || error.name === 'InvalidPDFException')) {
+                        reject(new Error('Invalid PDF structure. File may be corrupt or password-protected.'));
+                    } else if (error.message && error.message.includes('central directory')) {
+                        reject(new Error(`Invalid ${fileType.toUpperCase()} file. The file may be corrupt.`));
+                    } else {
+                        reject(error);
+                    }
+                }
+            };
+            reader.onerror = (error) => reject(error);
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    async function extractPdfText(fileBuffer, extraction) {
+        if (!pdfjsLib) throw new Error("pdf.js library is not available.");
+        const typedarray = new Uint8Array(fileBuffer);
+        const pdf = await pdfjsLib.getDocument(typedarray).promise;
+        let fullText = '';
+        const ocrPages = [];
+        const ocrConfidences = [];
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const page = await pdf.getPage(i);
+            const textContent = await page.getTextContent();
+            let pageText = textContent.items.map((item) => item.str).join(' ');
+            if (isSparseText(pageText) && isOcrAvailable()) {
+                if (extraction.onOcrProgress) extraction.onOcrProgress(i, pdf.numPages);
+                try {
+                    const ocrResult = await ocrPdfPage(page);
+                    // Keep the text layer if OCR found even less, e.g. on a genuinely blank page.
+                    if (ocrResult.text.trim().length > pageText.trim().length) {
+                        pageText = ocrResult.text;
+                        ocrPages.push(i);
+                        ocrConfidences.push(ocrResult.confidence);
+                    }
+                } catch (error) {
+                    // A short last page is enough to get here, so an OCR failure must not throw away the text already read.
+                    console.error(`OCR failed on page ${i}; keeping its text layer:`, error);
+                }
+            }
+            fullText += pageText + '\n';
+        }
+        if (ocrPages.length > 0) {
+            extraction.ocr = {
+                pages: ocrPages,
+                pageCount: pdf.numPages,
+                confidence: ocrConfidences.reduce((sum, c) => sum + c, 0) / ocrConfidences.length
+            };
+        }
+        return fullText;
+    }
+
+    async function extractDocxText(fileBuffer) {
+        if (!mammoth) throw new Error("mammoth.js library is not available.");
+        // Password-protected .docx files are not ZIP archives but OLE compound files wrapping an EncryptedPackage stream.
+        if (isCompoundFile(fileBuffer)) {
+            if (typeof XLSX !== 'undefined' && XLSX.CFB) {
+                const cfb = XLSX.CFB.read(new Uint8Array(fileBuffer), { type: 'array' });
+                // Without one it is an old binary .doc that was given the wrong extension.
+                if (!XLSX.CFB.find(cfb, 'EncryptedPackage')) return extractDocText(fileBuffer);
+            }
+            throw new Error('Encrypted DOCX file. The file is password-protected.');
+        }
+        const result = await mammoth.extractRawText({ arrayBuffer: fileBuffer });
+        return result.value;
+    }
+
+    function isCompoundFile(fileBuffer) {
+        const signature = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+        const bytes = new Uint8Array(fileBuffer, 0, Math.min(signature.length, fileBuffer.byteLength));
+        return signature.every((byte, i) => bytes[i] === byte);
+    }
+
+    function extractDocText(fileBuffer) {
+        // Word 97-2003 binary: an OLE compound file whose text is located through the piece table (CLX) in the table stream.
+        if (typeof XLSX === 'undefined' || !XLSX.CFB) throw new Error("Legacy .doc support is not available.");
+        let cfb;
+        try {
+            cfb = XLSX.CFB.read(new Uint8Array(fileBuffer), { type: 'array' });
+        } catch (error) {
+            throw new Error('Invalid DOC file. The file may be corrupt.');
+        }
+        const wordEntry = XLSX.CFB.find(cfb, 'WordDocument');
+        if (!wordEntry) throw new Error('Invalid DOC file. The file may be corrupt.');
+
+        const word = Uint8Array.from(wordEntry.content);
+        const wordView = new DataView(word.buffer);
+        if (wordView.getUint16(0, true) !== 0xA5EC) throw new Error("Unsupported Word version. Please re-save the file as .docx.");
+        const flags = wordView.getUint16(0x0A, true);
+        if (flags & 0x0100) throw new Error('Encrypted DOC file. The file is password-protected.');
+
+        const tableEntry = XLSX.CFB.find(cfb, flags & 0x0200 ? '1Table' : '0Table');
+        if (!tableEntry) throw new Error('Invalid DOC file. The file may be corrupt.');
+        const table = Uint8Array.from(tableEntry.content);
+        const tableView = new DataView(table.buffer);
+
+        // The FIB has variable-length sections before FibRgFcLcb97; fcClx/lcbClx is its 34th pair.
+        const csw = wordView.getUint16(32, true);
+        const cslwOffset = 34 + csw * 2;
+        const cslw = wordView.getUint16(cslwOffset, true);
+        const fcLcbOffset = cslwOffset + 2 + cslw * 4 + 2;
+        const fcClx = wordView.getUint32(fcLcbOffset + 33 * 8, true);
+        const lcbClx = wordView.getUint32(fcLcbOffset + 33 * 8 + 4, true);
+
+        let pos = fcClx;
+        while (pos < fcClx + lcbClx && table[pos] === 0x01) {
+            pos += 3 + tableView.getInt16(pos + 1, true);
+        }
+        if (table[pos] !== 0x02) throw new Error('Invalid DOC file. The file may be corrupt.');
+
+        const plcOffset = pos + 5;
+        const pieceCount = (tableView.getUint32(pos + 1, true) - 4) / 12;
+        let text = '';
+        for (let i = 0; i < pieceCount; i++) {
+            const cpStart = tableView.getUint32(plcOffset + i * 4, true);
+            const cpEnd = tableView.getUint32(plcOffset + (i + 1) * 4, true);
+            const fc = tableView.getUint32(plcOffset + (pieceCount + 1) * 4 + i * 8 + 2, true);
+            const length = cpEnd - cpStart;
+            if (fc & 0x40000000) {
+                const start = (fc & 0x3FFFFFFF) / 2;
+                text += cp1252Decoder.decode(word.subarray(start, start + length));
+            } else {
+                text += new TextDecoder('utf-16le').decode(word.subarray(fc, fc + length * 2));
+            }
+        }
+
+        return text
+            .replace(/\x13[^\x13\x14\x15]*\x14([^\x15]*)\x15/g, '$1')
+            .replace(/\x13[^\x15]*\x15/g, '')
+            .replace(/[\r\x0b\x0c]/g, '\n')
+            .replace(/\x07/g, '\t')
+            .replace(/[\x00-\x08\x0e-\x1f]/g, '');
+    }
+
+    function extractRtfText(fileBuffer) {
+        const rtf = cp1252Decoder.decode(fileBuffer);
+        if (!rtf.startsWith('{\\rtf')) throw new Error('Invalid RTF file. The file may be corrupt.');
+
+        const skippedDestinations = new Set(['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer', 'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl']);
+        const stack = [];
+        let skip = false;
+        let unicodeSkip = 1;
+        let pendingSkip = 0;
+        let output = '';
+
+        const emit = (chars) => {
+            if (skip) return;
+            if (pendingSkip > 0) {
+                pendingSkip--;
+                return;
+            }
+            output += chars;
+        };
+
+        for (let i = 0; i < rtf.length;) {
+            const ch = rtf[i];
+            if (ch === '{') {
+                stack.push({ skip, unicodeSkip });
+                i++;
+            } else if (ch === '}') {
+                ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+                i++;
+            } else if (ch === '\r' || ch === '\n') {
+                i++;
+            } else if (ch !== '\\') {
+                emit(ch);
+                i++;
+            } else {
+                const next = rtf[i + 1];
+                if (next === '\\' || next === '{' || next === '}') {
+                    emit(next);
+                    i += 2;
+                } else if (next === "'") {
+                    emit(cp1252Decoder.decode(new Uint8Array([parseInt(rtf.substr(i + 2, 2), 16)])));
+                    i += 4;
+                } else if (next === '*') {
+                    skip = true;
+                    i += 2;
+                } else if (next === '~') {
+                    emit(' ');
+                    i += 2;
+                } else {
+                    const match = /^([a-z]{1,32})(-?\d{1,10})? ?/i.exec(rtf.slice(i + 1, i + 48));
+                    if (!match) {
+                        i += 2;
+                        continue;
+                    }
+                    const [token, word, param] = match;
+                    i += 1 + token.length;
+                    if (skippedDestinations.has(word)) skip = true;
+                    else if (['par', 'line', 'sect', 'page', 'row'].includes(word)) emit('\n');
+                    else if (word === 'tab' || word === 'cell') emit('\t');
+                    else if (word === 'uc') unicodeSkip = Number(param) || 0;
+                    else if (word === 'u' && !skip) {
+                        // \uN is followed by `uc` fallback characters for readers without Unicode support.
+                        output += String.fromCharCode(Number(param) < 0 ? Number(param) + 65536 : Number(param));
+                        pendingSkip = unicodeSkip;
+                    }
+                }
+            }
+        }
+        return output;
+    }
+
+    async function extractOdtText(fileBuffer) {
+        if (typeof JSZip === 'undefined') throw new Error("JSZip library is not available.");
+        const zip = await JSZip.loadAsync(fileBuffer);
+        const manifest = zip.file('META-INF/manifest.xml');
+        if (manifest && (await manifest.async('string')).includes('encryption-data')) {
+            throw new Error('Encrypted ODT file. The file is password-protected.');
+        }
+        const content = zip.file('content.xml');
+        if (!content) throw new Error('Invalid ODT file. The file may be corrupt.');
+
+        const xml = new DOMParser().parseFromString(await content.async('string'), 'application/xml');
+        const body = xml.getElementsByTagName('office:body')[0];
+        if (!body) throw new Error('Invalid ODT file. The file may be corrupt.');
+        return odfNodeToText(body);
+    }
+
+    function odfNodeToText(node) {
+        let text = '';
+        node.childNodes.forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                text += child.nodeValue;
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+                switch (child.localName) {
+                    case 's': text += ' '.repeat(Number(child.getAttribute('text:c')) || 1); break;
+                    case 'tab': text += '\t'; break;
+                    case 'line-break': text += '\n'; break;
+                    case 'p': case 'h': text += odfNodeToText(child) + '\n'; break;
+                    default: text += odfNodeToText(child);
+                }
+            }
+        });
+        return text;
+    }
+
+    function decodeTextBuffer(fileBuffer) {
+        const bytes = new Uint8Array(fileBuffer);
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes);
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes);
+        const utf8 = new TextDecoder('utf-8').decode(bytes);
+        // Older Windows tools save plain text as Windows-1252, which shows up as replacement characters in UTF-8.
+        return utf8.includes('\uFFFD') ? cp1252Decoder.decode(bytes) : utf8;
+    }
+
+    function extractPlainText(fileBuffer) {
+        return decodeTextBuffer(fileBuffer);
+    }
+
+    function extractHtmlText(fileBuffer) {
+        const doc = new DOMParser().parseFromString(decodeTextBuffer(fileBuffer), 'text/html');
+        doc.querySelectorAll('script, style, noscript, template, svg').forEach(el => el.remove());
+        // textContent drops the line breaks between blocks, which would run profile sections together.
+        doc.querySelectorAll('br, p, div, li, tr, section, article, header, h1, h2, h3, h4, h5, h6').forEach(el => el.append('\n'));
+        return (doc.body ? doc.body.textContent : '').replace(/[ \t\u00a0]+/g, ' ').replace(/\n\s*\n+/g, '\n\n').trim();
+    }
+
+    async function extractImageText(fileBuffer, extraction) {
+        if (!isOcrAvailable()) throw new Error("OCR library is not available.");
+        if (extraction.onOcrProgress) extraction.onOcrProgress(1, 1);
+        const result = await recognizeImage(new Blob([fileBuffer]));
+        extraction.ocr = { pages: [1], pageCount: 1, confidence: result.confidence };
+        return result.text;
+    }
+
+    // --- OCR Fallback ---
+    const OCR_MIN_PAGE_CHARS = 40;
+    const OCR_RENDER_SCALE = 2;
+    // Tesseract fetches its worker, WASM core and English model on first use. They come from the same CDN as
+    // tesseract.min.js, pinned to matching versions; the upload panel tells users OCR needs a connection.
+    const OCR_ASSET_PATHS = {
+        workerPath: 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/worker.min.js',
+        corePath: 'https://cdn.jsdelivr.net/npm/tesseract.js-core@5.1.1',
+        langPath: 'https://cdn.jsdelivr.net/npm/@tesseract.js-data/eng@1.0.0/4.0.0_best_int'
+    };
+    let ocrWorkerPromise = null;
+
+    function getOcrWorker() {
+        // Tesseract.js runs recognition in its own Web Worker; one shared worker serialises jobs from the queue.
+        if (!ocrWorkerPromise) {
+            ocrWorkerPromise = Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, OCR_ASSET_PATHS).catch(error => {
+                ocrWorkerPromise = null;
+                console.error("Could not start the OCR worker:", error);
+                throw new Error("The OCR engine could not be downloaded. OCR needs an internet connection.");
+            });
+        }
+        return ocrWorkerPromise;
+    }
+
+    function isOcrAvailable() {
+        return typeof Tesseract !== 'undefined';
+    }
+
+    function isSparseText(text) {
+        return text.replace(/\s/g, '').length < OCR_MIN_PAGE_CHARS;
+    }
+
+    async function recognizeImage(image) {
+        const worker = await getOcrWorker();
+        const { data } = await worker.recognize(image);
+        return { text: data.text, confidence: data.confidence };
+    }
+
+    async function ocrPdfPage(page) {
+        const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+        const canvas = document.createElement('canvas');
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        return recognizeImage(canvas);
+    }
+
+    function describeOcr(ocr) {
+        if (!ocr || !ocr.pages.length) return '';
+        const pages = ocr.pages.length === ocr.pageCount ? 'all pages' : `page${ocr.pages.length > 1 ? 's' : ''} ${ocr.pages.join(', ')} of ${ocr.pageCount}`;
+        return `Text on ${pages} was read by OCR (average confidence ${Math.round(ocr.confidence)}%). Check names, dates and figures against the original.`;
+    }
+
+    // --- Multi-role Matching ---
+    function createJobDescriptionId() {
+        return `jd-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    function renderJobDescriptionList() {
+        jdList.innerHTML = jobDescriptions.map(jd => `
+            <li class="py-2 flex items-center gap-2 text-sm">
+                <span class="flex-grow truncate font-medium text-slate-700" title="${escapeHtml(jd.name)}">${escapeHtml(jd.name)}</span>
+                <span class="text-xs text-slate-500">${comparisonRuns[jd.id] ? `${comparisonRuns[jd.id].length} ranked` : 'Not run'}</span>
+                <select class="jd-rubric-select text-xs border border-slate-300 rounded-md py-1 px-2" data-jd-id="${jd.id}" title="Rubric used for this role">
+                    <option value="">Rubric from editor</option>
+                    ${savedRubrics.map(rubric => `<option value="${escapeHtml(rubric.id)}" ${rubric.id === jd.rubricId ? 'selected' : ''}>${escapeHtml(rubric.role)}</option>`).join('')}
+                </select>
+                <button class="jd-remove-btn text-slate-400 hover:text-red-600 text-lg leading-none" data-jd-id="${jd.id}" title="Remove">&times;</button>
+            </li>
+        `).join('');
+
+        jdList.querySelectorAll('.jd-rubric-select').forEach(select => {
+            select.addEventListener('change', (e) => {
+                const jd = jobDescriptions.find(j => j.id === e.target.dataset.jdId);
+                if (jd) jd.rubricId = e.target.value;
+                persistSession();
+            });
+        });
+        jdList.querySelectorAll('.jd-remove-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => removeJobDescription(e.currentTarget.dataset.jdId));
+        });
+        compareBtn.textContent = jobDescriptions.length > 1 ? `Rank Candidates for ${jobDescriptions.length} Roles` : 'Rank Candidates';
+    }
+
+    function removeJobDescription(id) {
+        jobDescriptions = jobDescriptions.filter(jd => jd.id !== id);
+        delete comparisonRuns[id];
+        if (activeComparisonView === id) activeComparisonView = 'matrix';
+        renderJobDescriptionList();
+        renderComparisonRuns();
+        persistSession();
+    }
+
+    async function getRubricCriteriaForJD(jd) {
+        if (!jd.rubricId) return buildRubricCriteria(readRubricForm());
+        const rubric = await dbRequest(RUBRIC_STORE, 'readonly', store => store.get(jd.rubricId));
+        // A rubric deleted since it was assigned falls back to the editor.
+        return buildRubricCriteria(rubric ? { ...readRubricForm(), ...rubric } : readRubricForm());
+    }
+
+    async function rankCandidatesForJD(jd, rubric, onProgress, candidates = processedCVs) {
+        const results = [];
+
+        // Scoring is one AI call per candidate, so large pools go in batches to stay inside request timeouts.
+        for (let i = 0; i < candidates.length; i += COMPARE_BATCH_SIZE) {
+            onProgress(i, candidates.length);
+            const response = await fetch('/api/compare', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ 
+                    jdText: jd.text,
+                    candidates: candidates.slice(i, i + COMPARE_BATCH_SIZE).map(toCandidateProfile),
+                    rubric
+                }),
+            });
+            
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Server error: ${response.status} ${errorText}`);
+            }
+
+            results.push(...await response.json());
+        }
+
+        return sortComparisonResults(results);
+    }
+
+    function sortComparisonResults(results) {
+        return results.sort((a, b) => (b.gatePassed !== false) - (a.gatePassed !== false) || b.score - a.score);
+    }
+
+    function mergeComparisonResults(existing = [], results) {
+        // Re-scoring some candidates replaces only their rows; everyone else keeps their place in the role's ranking.
+        const rescored = new Set(results.map(result => result.candidateId));
+        return sortComparisonResults([...existing.filter(result => !rescored.has(result.candidateId)), ...results]);
+    }
+
+    function getRankedRoles() {
+        return jobDescriptions.filter(jd => comparisonRuns[jd.id]);
+    }
+
+    function renderComparisonRuns() {
+        const roles = getRankedRoles();
+        if (roles.length === 0) {
+            comparisonTabs.classList.add('hidden');
+            comparisonTabs.innerHTML = '';
+            comparisonResultsContainer.innerHTML = '';
+            lastComparisonResults = [];
+            return;
+        }
+
+        if (roles.length === 1 || (activeComparisonView !== 'matrix' && !comparisonRuns[activeComparisonView])) {
+            activeComparisonView = roles.length > 1 ? 'matrix' : roles[0].id;
+        }
+
+        const tabs = roles.length > 1 ? [{ id: 'matrix', name: 'Role Matrix' }, ...roles] : [];
+        comparisonTabs.classList.toggle('hidden', tabs.length === 0);
+        comparisonTabs.innerHTML = tabs.map(tab => `
+            <button class="comparison-tab-btn py-2 px-3 text-sm font-semibold border-b-2 ${tab.id === activeComparisonView ? 'border-indigo-600 text-indigo-700' : 'border-transparent text-slate-500 hover:text-slate-800'}" data-view="${tab.id}">${escapeHtml(tab.name)}</button>
+        `).join('');
+        comparisonTabs.querySelectorAll('.comparison-tab-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                activeComparisonView = e.currentTarget.dataset.view;
+                renderComparisonRuns();
+                persistSession();
+            });
+        });
+
+        if (activeComparisonView === 'matrix') {
+            renderRoleMatrix(roles);
+        } else {
+            renderComparisonResults(comparisonRuns[activeComparisonView]);
+        }
+    }
+
+    function getResultKey(result) {
+        return result.candidateId || result.name;
+    }
+
+    function heatColor(score) {
+        // 0 maps to red and 100 to green, lightening towards the low end so text stays readable.
+        return `hsl(${Math.round(score * 1.2)}, 75%, ${Math.round(90 - score * 0.2)}%)`;
+    }
+
+    function buildRoleMatrix(roles) {
+        const resultMaps = roles.map(jd => new Map(comparisonRuns[jd.id].map(result => [getResultKey(result), result])));
+        const rows = processedCVs.map(cv => {
+            const cells = resultMaps.map(map => map.get(cv.candidateId) || map.get(cv.name) || null);
+            let bestIndex = -1;
+            cells.forEach((result, i) => {
+                if (!result) return;
+                const best = cells[bestIndex];
+                const passes = result.gatePassed !== false;
+                if (!best || (passes && best.gatePassed === false) || (passes === (best.gatePassed !== false) && result.score > best.score)) bestIndex = i;
+            });
+            return { cv, cells, bestIndex };
+        });
+        rows.sort((a, b) => (b.cells[b.bestIndex]?.score ?? -1) - (a.cells[a.bestIndex]?.score ?? -1));
+        // Runs are already sorted best-first, so each role's leaders are the head of its results.
+        const topPerRole = roles.map(jd => new Set(comparisonRuns[jd.id].filter(r => r.gatePassed !== false).slice(0, MATRIX_TOP_CANDIDATES).map(getResultKey)));
+        return { rows, topPerRole };
+    }
+
+    function renderRoleMatrix(roles) {
+        lastComparisonResults = [];
+        const { rows, topPerRole } = buildRoleMatrix(roles);
+
+        comparisonResultsContainer.innerHTML = `
+            <h3 class="text-lg font-bold text-slate-800 mb-1">Candidate &times; Role Matrix</h3>
+            <p class="text-xs text-slate-500 mb-4">Bold cells mark each candidate's best role; &#9733; marks the top ${MATRIX_TOP_CANDIDATES} candidates for each role. Click a cell for the justification.</p>
+            <div class="overflow-auto max-h-[32rem] border border-slate-200 rounded-lg">
+                <table class="role-matrix w-full text-sm text-left">
+                    <thead class="bg-slate-50 text-xs text-slate-600 sticky top-0">
+                        <tr>
+                            <th class="p-2">Candidate</th>
+                            ${roles.map(jd => `<th class="p-2 text-center max-w-[10rem] truncate" title="${escapeHtml(jd.name)}">${escapeHtml(jd.name)}</th>`).join('')}
+                            <th class="p-2">Best Role</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-slate-200">
+                        ${rows.map(({ cv, cells, bestIndex }) => `
+                            <tr>
+                                <td class="p-2 font-semibold text-slate-800 whitespace-nowrap">${escapeHtml(getDisplayName(cv))}</td>
+                                ${cells.map((result, i) => result ? `
+                                    <td class="p-1 text-center">
+                                        <button class="matrix-cell ${i === bestIndex ? 'matrix-cell-best' : ''} ${result.gatePassed === false ? 'matrix-cell-gate' : ''}" style="background-color: ${heatColor(result.score)}" data-jd-id="${roles[i].id}" data-candidate-id="${cv.candidateId}" title="${result.gatePassed === false ? 'Fails a must-have' : ''}">
+                                            ${result.score}${topPerRole[i].has(getResultKey(result)) ? ' &#9733;' : ''}
+                                        </button>
+                                    </td>` : '<td class="p-1 text-center text-slate-300">&ndash;</td>').join('')}
+                                <td class="p-2 text-slate-600 whitespace-nowrap">${bestIndex >= 0 ? escapeHtml(roles[bestIndex].name) : 'N/A'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="mt-4 grid md:grid-cols-2 xl:grid-cols-3 gap-3">
+                ${roles.map(jd => `
+                    <div class="p-3 bg-slate-50 rounded-lg border border-slate-200">
+                        <h4 class="text-sm font-bold text-slate-800 truncate" title="${escapeHtml(jd.name)}">${escapeHtml(jd.name)}</h4>
+                        <ol class="mt-1 text-sm text-slate-600 list-decimal list-inside">
+                            ${comparisonRuns[jd.id].filter(r => r.gatePassed !== false).slice(0, MATRIX_TOP_CANDIDATES).map(r => `<li>${escapeHtml(getResultDisplayName(r))} <span class="text-slate-400">(${r.score})</span></li>`).join('') || '<li class="list-none text-slate-400">No candidate passes the must-haves.</li>'}
+                        </ol>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        comparisonResultsContainer.querySelectorAll('.matrix-cell').forEach(cell => {
+            cell.addEventListener('click', (e) => showPairingModal(e.currentTarget.dataset.jdId, e.currentTarget.dataset.candidateId));
+        });
+    }
+
+    function showPairingModal(jdId, candidateId) {
+        const jd = jobDescriptions.find(j => j.id === jdId);
+        const cv = processedCVs.find(c => c.candidateId === candidateId);
+        const result = jd && cv && comparisonRuns[jdId].find(r => r.candidateId ? r.candidateId === candidateId : r.name === cv.name);
+        if (!result) return;
+
+        modalName.textContent = `${getDisplayName(cv)} – ${jd.name}`;
+        modalBody.innerHTML = renderComparisonDetail(result, cv);
+        openModal();
+    }
+
+    function toSheetName(name, usedNames) {
+        // Excel sheet names are capped at 31 characters and may not contain : \ / ? * [ ]
+        const base = name.replace(/[:\\/?*[\]]/g, '').slice(0, 28) || 'Sheet';
+        let sheetName = base;
+        for (let i = 2; usedNames.has(sheetName); i++) sheetName = `${base} ${i}`;
+        usedNames.add(sheetName);
+        return sheetName;
+    }
+
+    // --- Duplicate Detection ---
+    const DUPLICATE_THRESHOLD = 0.6;
+
+    function createCandidateId() {
+        return `cand-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    function extractContactDetails(text) {
+        const emails = (text.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi) || []).map(email => email.toLowerCase());
+        const phones = (text.match(/\+?\d[\d\s().-]{7,}\d/g) || [])
+            .map(phone => phone.replace(/\D/g, ''))
+            .filter(digits => digits.length >= 9 && digits.length <= 15);
+        return { emails: [...new Set(emails)], phones: [...new Set(phones)] };
+    }
+
+    function normalizeName(name) {
+        return String(name || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean);
+    }
+
+    function levenshtein(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    function nameSimilarity(nameA, nameB) {
+        const tokensA = normalizeName(nameA);
+        const tokensB = normalizeName(nameB);
+        if (!tokensA.length || !tokensB.length) return 0;
+
+        const joinedA = tokensA.join(' ');
+        const joinedB = tokensB.join(' ');
+        const editRatio = 1 - levenshtein(joinedA, joinedB) / Math.max(joinedA.length, joinedB.length);
+
+        // "John" vs "John Smith": every token of the shorter name appears in the longer one.
+        const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+        const containment = shorter.every(token => longer.includes(token)) ? 0.85 : 0;
+
+        return Math.max(editRatio, containment);
+    }
+
+    function companyOverlap(companiesA, companiesB) {
+        const toSet = value => new Set(String(value || '').toLowerCase().split(/[,;/]|\band\b/).map(c => c.trim()).filter(Boolean));
+        const setA = toSet(companiesA);
+        const setB = toSet(companiesB);
+        if (!setA.size || !setB.size) return 0;
+        const shared = [...setA].filter(company => setB.has(company)).length;
+        return shared / Math.min(setA.size, setB.size);
+    }
+
+    function compareCandidates(a, b) {
+        if (a.textHash && a.textHash === b.textHash) return { score: 1, reasons: ["Identical CV text"] };
+
+        let score = 0;
+        const reasons = [];
+        if ((a.emails || []).some(email => (b.emails || []).includes(email))) {
+            score += 0.6;
+            reasons.push("Same email");
+        }
+        if ((a.phones || []).some(phone => (b.phones || []).some(other => phone.slice(-9) === other.slice(-9)))) {
+            score += 0.5;
+            reasons.push("Same phone");
+        }
+        const similarity = nameSimilarity(a.name, b.name);
+        if (similarity >= 0.8) {
+            score += 0.45 * similarity;
+            reasons.push("Similar name");
+        }
+        if (companyOverlap(a.companies, b.companies) >= 0.5) {
+            score += 0.25;
+            reasons.push("Shared companies");
+        }
+        return { score: Math.min(score, 1), reasons };
+    }
+
+    function duplicatePairKey(idA, idB) {
+        return [idA, idB].sort().join('|');
+    }
+
+    function findDuplicatePairs() {
+        const pairs = [];
+        for (let i = 0; i < processedCVs.length; i++) {
+            for (let j = i + 1; j < processedCVs.length; j++) {
+                const a = processedCVs[i];
+                const b = processedCVs[j];
+                if (dismissedDuplicates.includes(duplicatePairKey(a.candidateId, b.candidateId))) continue;
+                const match = compareCandidates(a, b);
+                if (match.score >= DUPLICATE_THRESHOLD) pairs.push({ a, b, ...match });
+            }
+        }
+        return pairs.sort((x, y) => y.score - x.score);
+    }
+
+    function renderDuplicateBanner(pairs) {
+        if (pairs.length === 0) {
+            duplicateBanner.classList.add('hidden');
+            return;
+        }
+        duplicateBanner.classList.remove('hidden');
+        duplicateBannerText.textContent = `${pairs.length} possible duplicate ${pairs.length === 1 ? 'pair' : 'pairs'} found in this batch.`;
+    }
+
+    function showDuplicateDialog() {
+        const [pair] = findDuplicatePairs();
+        if (!pair) {
+            hideCandidateModal();
+            return;
+        }
+
+        // In blind review the pair is compared on aliases and profile fields only; contact details and file names often give the name away.
+        const blindHidden = privacySettings.blindReview ? ["Email", "Phone", "Source File"] : [];
+        const fields = [
+            ["Name", cv => getDisplayName(cv)],
+            ["Email", cv => (cv.emails || []).join(', ')],
+            ["Phone", cv => (cv.phones || []).join(', ')],
+            ["Experience", cv => `${cv.totalExperienceYears ?? 0} years`],
+            ["Companies", cv => cv.companies],
+            ["Education", cv => cv.education],
+            ["Discipline", cv => cv.discipline],
+            ["Industry", cv => cv.industry],
+            ["Skills", cv => (cv.skills || []).join(', ')],
+            ["Source File", cv => getSourceFiles(cv).join(', ')]
+        ].filter(([label]) => !blindHidden.includes(label));
+        const column = cv => fields.map(([label, getValue]) => `
+            <div>
+                <h4 class="font-semibold text-slate-600 text-xs">${label}</h4>
+                <p class="text-slate-800 text-sm break-words">${escapeHtml(getValue(cv) || 'N/A')}</p>
+            </div>
+        `).join('');
+
+        modalName.textContent = "Possible Duplicate";
+        modalBody.innerHTML = `
+            <p class="text-sm text-slate-600 mb-4">Match confidence ${Math.round(pair.score * 100)}%: ${pair.reasons.join(', ')}.</p>
+            <div class="grid grid-cols-2 gap-6">
+                <div class="space-y-3">${column(pair.a)}</div>
+                <div class="space-y-3 border-l border-slate-200 pl-6">${column(pair.b)}</div>
+            </div>
+            <div class="mt-6 flex flex-wrap justify-end gap-2">
+                <button id="keepBothBtn" class="text-sm font-semibold py-2 px-4 rounded-lg border border-slate-200 text-slate-700 hover:bg-slate-100 transition-colors">Keep Both</button>
+                <button id="mergeIntoLeftBtn" class="text-sm font-semibold py-2 px-4 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 transition-colors">Merge, Keep Left</button>
+                <button id="mergeIntoRightBtn" class="text-sm font-semibold py-2 px-4 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 transition-colors">Merge, Keep Right</button>
+            </div>
+        `;
+
+        document.getElementById('keepBothBtn').addEventListener('click', () => {
+            dismissedDuplicates.push(duplicatePairKey(pair.a.candidateId, pair.b.candidateId));
+            afterDuplicateResolved();
+        });
+        document.getElementById('mergeIntoLeftBtn').addEventListener('click', () => {
+            mergeCandidates(pair.a, pair.b);
+            afterDuplicateResolved();
+        });
+        document.getElementById('mergeIntoRightBtn').addEventListener('click', () => {
+            mergeCandidates(pair.b, pair.a);
+            afterDuplicateResolved();
+        });
+
+        openModal();
+    }
+
+    function afterDuplicateResolved() {
+        renderCandidateCards();
+        persistSession();
+        showDuplicateDialog();
+    }
+
+    function getSourceFiles(cv) {
+        return cv.mergedFilenames && cv.mergedFilenames.length ? cv.mergedFilenames : [cv.filename];
+    }
+
+    function mergeCandidates(primary, duplicate) {
+        // The primary record's AI fields win; only the lists are combined.
+        primary.skills = [...new Set([...(primary.skills || []), ...(duplicate.skills || [])])];
+        primary.emails = [...new Set([...(primary.emails || []), ...(duplicate.emails || [])])];
+        primary.phones = [...new Set([...(primary.phones || []), ...(duplicate.phones || [])])];
+        primary.mergedFilenames = [...new Set([...getSourceFiles(primary), ...getSourceFiles(duplicate)])];
+        primary.tags = [...new Set([...primary.tags, ...duplicate.tags])];
+        primary.notes = [primary.notes, duplicate.notes].filter(Boolean).join('\n\n');
+        primary.rating = Math.max(primary.rating, duplicate.rating);
+        // Keep whichever record got further through the pipeline; a rejection on either side still stands.
+        if (duplicate.stage === 'Rejected' || (primary.stage !== 'Rejected' && PIPELINE_STAGES.indexOf(duplicate.stage) > PIPELINE_STAGES.indexOf(primary.stage))) primary.stage = duplicate.stage;
+        primary.shortlisted = SHORTLIST_STAGES.includes(primary.stage);
+        primary.mergedCandidateIds = [...(primary.mergedCandidateIds || []), duplicate.candidateId, ...(duplicate.mergedCandidateIds || [])];
+
+        processedCVs = processedCVs.filter(cv => cv !== duplicate);
+        Object.keys(comparisonRuns).forEach(id => {
+            comparisonRuns[id] = comparisonRuns[id].filter(result => result.candidateId !== duplicate.candidateId);
+        });
+        renderComparisonRuns();
+    }
+
+    // --- Processing Queue ---
+    const QUEUE_MAX_RETRIES = 4;
+    const QUEUE_BASE_DELAY_MS = 1000;
+
+    // Jobs, status rows and session records are keyed by the path inside the picked folder, so a/cv.pdf and b/cv.pdf stay apart.
+    function createJob(file, fileName = file.webkitRelativePath || file.name) {
+        return { id: `${currentSession.id}::${fileName}`, sessionId: currentSession.id, fileName, file, state: 'queued', controller: new AbortController(), startedAt: 0 };
+    }
+
+    function enqueueFiles(files) {
+        files.forEach(file => {
+            const job = createJob(file);
+            jobQueue.push(job);
+            sessionFiles.push({ filename: job.fileName, textHash: null, status: 'pending', message: "Queued" });
+            addStatusRow(job.fileName, "Queued", 'pending');
+            saveQueueEntry(job);
+        });
+        persistSession();
+        runQueue();
+    }
+
+    function saveQueueEntry(job) {
+        // The File itself is stored so unfinished work survives a reload or a crashed tab.
+        return dbRequest(QUEUE_STORE, 'readwrite', store => store.put({ id: job.id, sessionId: job.sessionId, fileName: job.fileName, file: job.file }))
+            .catch(error => console.error(`Could not persist queue entry for ${job.fileName}:`, error));
+    }
+
+    function deleteQueueEntry(job) {
+        return dbRequest(QUEUE_STORE, 'readwrite', store => store.delete(job.id))
+            .catch(error => console.error(`Could not remove queue entry for ${job.fileName}:`, error));
+    }
+
+    function getConcurrency() {
+        return Math.max(1, parseInt(concurrencyInput.value, 10) || 1);
+    }
+
+    function runQueue() {
+        if (!queuePaused) {
+            let running = jobQueue.filter(job => job.state === 'running').length;
+            for (const job of jobQueue) {
+                if (running >= getConcurrency()) break;
+                if (job.state !== 'queued') continue;
+                running++;
+                runJob(job);
+            }
+        }
+        updateQueueControls();
+    }
+
+    async function runJob(job) {
+        job.state = 'running';
+        job.startedAt = Date.now();
+        updateQueueControls();
+
+        const outcome = await processFile(job);
+
+        // A reset or a cancel has already taken care of this job's bookkeeping.
+        if (job.state !== 'running' || job.sessionId !== currentSession.id) return;
+
+        job.state = outcome;
+        queueDurations.push(Date.now() - job.startedAt);
+        if (outcome === 'success') deleteQueueEntry(job);
+        if (outcome === 'error') addRetryButton(job);
+        runQueue();
+    }
+
+    async function withRetry(task, job) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await task();
+            } catch (error) {
+                if (!isRetryableError(error) || attempt > QUEUE_MAX_RETRIES) throw error;
+                const delay = error.retryAfterMs ?? QUEUE_BASE_DELAY_MS * 2 ** (attempt - 1) + Math.random() * 250;
+                updateStatus(job.fileName, `Retrying in ${Math.ceil(delay / 1000)}s (${attempt}/${QUEUE_MAX_RETRIES})...`, 'pending');
+                await sleep(delay, job.controller.signal);
+                updateStatus(job.fileName, "Analyzing with AI...", 'analyzing');
+            }
+        }
+    }
+
+    function isRetryableError(error) {
+        // fetch rejects with a TypeError on network failures, which are as transient as a 5xx.
+        return error.status === 429 || error.status >= 500 || error instanceof TypeError;
+    }
+
+    function sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException("Aborted", 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    function pauseQueue() {
+        queuePaused = true;
+        updateQueueControls();
+    }
+
+    function resumeQueue() {
+        queuePaused = false;
+        runQueue();
+    }
+
+    function cancelQueue() {
+        if (!confirm("Cancel all queued and in-progress files?")) return;
+        jobQueue.forEach(job => {
+            if (job.state !== 'queued' && job.state !== 'running') return;
+            job.controller.abort();
+            job.state = 'cancelled';
+            updateStatus(job.fileName, "Cancelled", 'pending');
+            recordSessionFile(job.fileName, null, 'cancelled', "Cancelled");
+            deleteQueueEntry(job);
+            addRetryButton(job);
+        });
+        queuePaused = false;
+        updateQueueControls();
+    }
+
+    function retryJob(fileName) {
+        const job = jobQueue.find(j => j.fileName === fileName);
+        if (!job || !job.file || job.state === 'queued' || job.state === 'running') return;
+        job.state = 'queued';
+        job.controller = new AbortController();
+        updateStatus(job.fileName, "Queued", 'pending');
+        recordSessionFile(job.fileName, null, 'pending', "Queued");
+        saveQueueEntry(job);
+        runQueue();
+    }
+
+    function addRetryButton(job) {
+        const row = document.getElementById(getStatusRowId(job.fileName));
+        const statusLine = row && row.querySelector('.status-cell > div');
+        if (!statusLine || !job.file) return;
+        const button = document.createElement('button');
+        button.className = 'queue-retry-btn ml-2 text-xs font-semibold text-indigo-600 hover:text-indigo-800';
+        button.textContent = 'Retry';
+        button.addEventListener('click', () => retryJob(job.fileName));
+        statusLine.appendChild(button);
+    }
+
+    function updateQueueControls() {
+        const total = jobQueue.length;
+        const remaining = jobQueue.filter(job => job.state === 'queued' || job.state === 'running').length;
+        const failed = jobQueue.filter(job => job.state === 'error').length;
+        const done = total - remaining;
+
+        queueProgressBar.style.width = total ? `${Math.round((done / total) * 100)}%` : '0%';
+        queueProgress.setAttribute('aria-valuenow', total ? Math.round((done / total) * 100) : 0);
+        queueProgressText.textContent = total
+            ? `${done} / ${total} processed${failed ? ` · ${failed} failed` : ''}${queuePaused && remaining ? ' · Paused' : ''}`
+            : '';
+
+        const progressAnnouncement = !total ? ''
+            : remaining ? `${done} of ${total} CVs processed${queuePaused ? ', paused' : ''}.`
+            : `Processing finished. ${done - failed} of ${total} CVs analysed${failed ? `, ${failed} failed` : ''}.`;
+        if (progressAnnouncement !== lastProgressAnnouncement) {
+            lastProgressAnnouncement = progressAnnouncement;
+            if (progressAnnouncement) announce(progressAnnouncement);
+        }
+
+        if (remaining && queueDurations.length) {
+            const averageMs = queueDurations.reduce((sum, ms) => sum + ms, 0) / queueDurations.length;
+            const etaSeconds = Math.round((averageMs * remaining) / Math.min(getConcurrency(), remaining) / 1000);
+            queueEta.textContent = `~${formatDuration(etaSeconds)} remaining`;
+        } else {
+            queueEta.textContent = '';
+        }
+
+        pauseQueueBtn.disabled = !remaining;
+        pauseQueueBtn.classList.toggle('hidden', queuePaused);
+        resumeQueueBtn.classList.toggle('hidden', !queuePaused);
+        cancelQueueBtn.disabled = !remaining;
+    }
+
+    function formatDuration(totalSeconds) {
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return minutes ? `${minutes}m ${seconds}s` : `${seconds}s`;
+    }
+
+    async function restoreQueue(session) {
+        let entries;
+        try {
+            entries = await dbRequest(QUEUE_STORE, 'readonly', store => store.index('sessionId').getAll(session.id));
+        } catch (error) {
+            console.error("Could not load unfinished files:", error);
+            return;
+        }
+        if (currentSession !== session) return;
+
+        sessionFiles
+            .filter(file => file.status === 'pending' && !entries.some(entry => entry.fileName === file.filename))
+            .forEach(file => updateStatus(file.filename, "Interrupted - select the folder again", 'error'));
+
+        entries.forEach(entry => {
+            const file = entry.file instanceof File ? entry.file : new File([entry.file], entry.fileName);
+            const job = createJob(file, entry.fileName);
+            const record = sessionFiles.find(f => f.filename === entry.fileName);
+            if (record && record.status === 'error') {
+                job.state = 'error';
+                jobQueue.push(job);
+                addRetryButton(job);
+            } else {
+                jobQueue.push(job);
+                updateStatus(job.fileName, "Interrupted - ready to resume", 'pending');
+            }
+        });
+
+        // Resuming spends API calls, so wait for the user to press Resume.
+        queuePaused = jobQueue.some(job => job.state === 'queued');
+        updateQueueControls();
+    }
+
+    // --- Event Listeners ---
+    folderInput.addEventListener('change', handleFolderSelect);
+    jdUploadInput.addEventListener('change', handleJDFileSelect);
+    importInput.addEventListener('change', handleImportFileSelect);
+    downloadBtn.addEventListener('click', showExportDialog);
+    compareBtn.addEventListener('click', () => handleComparison());
+    modalCloseBtn.addEventListener('click', hideCandidateModal);
+    modalContainer.addEventListener('click', (e) => {
+        if (e.target === modalContainer) hideCandidateModal();
+    });
+    newSessionBtn.addEventListener('click', resetState);
+    mergeSessionsBtn.addEventListener('click', mergeSelectedSessions);
+    concurrencyInput.addEventListener('change', runQueue);
+    pauseQueueBtn.addEventListener('click', pauseQueue);
+    resumeQueueBtn.addEventListener('click', resumeQueue);
+    cancelQueueBtn.addEventListener('click', cancelQueue);
+    reviewDuplicatesBtn.addEventListener('click', showDuplicateDialog);
+    document.querySelectorAll('.candidate-view-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => setCandidateView(e.currentTarget.dataset.view));
+    });
+    pipelineBoard.addEventListener('dragstart', handlePipelineDragStart);
+    pipelineBoard.addEventListener('dragover', handlePipelineDragOver);
+    pipelineBoard.addEventListener('drop', handlePipelineDrop);
+    pipelineBoard.addEventListener('dragend', handlePipelineDragEnd);
+    analyticsDashboard.addEventListener('click', handleAnalyticsClick);
+    clearGridFilterBtn.addEventListener('click', () => setGridFilter(null));
+    candidateSearchInput.addEventListener('input', scheduleSearch);
+    candidateSearchInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        clearTimeout(searchDebounce);
+        applySearch();
+    });
+    savedSearchSelect.addEventListener('change', loadSelectedSearch);
+    saveSearchBtn.addEventListener('click', saveCurrentSearch);
+    deleteSearchBtn.addEventListener('click', deleteSelectedSearch);
+    document.addEventListener('keydown', handleModalKeydown);
+    candidateGrid.addEventListener('keydown', handleGridKeydown);
+    candidateGrid.addEventListener('focusin', handleGridFocus);
+    candidateGrid.addEventListener('change', (e) => {
+        if (e.target.classList.contains('candidate-select')) toggleCandidateSelection(e.target.dataset.candidateId, e.target.checked);
+    });
+    bulkSelectAllBtn.addEventListener('click', selectAllVisible);
+    bulkShortlistBtn.addEventListener('click', shortlistSelected);
+    bulkCompareBtn.addEventListener('click', compareSelected);
+    bulkExportBtn.addEventListener('click', exportSelected);
+    bulkRemoveBtn.addEventListener('click', removeSelected);
+    clearSelectionBtn.addEventListener('click', clearSelection);
+    pipelineBoard.addEventListener('click', (e) => {
+        const card = e.target.closest('.pipeline-card');
+        if (card) showCandidateModal(card.dataset.candidateId);
+    });
+    pipelineBoard.addEventListener('keydown', (e) => {
+        const card = e.target.closest('.pipeline-card');
+        if (!card || e.key !== 'Enter') return;
+        e.preventDefault();
+        showCandidateModal(card.dataset.candidateId);
+    });
+    document.querySelectorAll('.rubric-add-skill-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => addRubricSkillRow(e.currentTarget.dataset.rubricList));
+    });
+    rubricSavedSelect.addEventListener('change', loadSelectedRubric);
+    saveRubricBtn.addEventListener('click', saveRubric);
+    deleteRubricBtn.addEventListener('click', deleteSelectedRubric);
+    clearRubricBtn.addEventListener('click', () => {
+        rubricSavedSelect.value = '';
+        fillRubricForm({});
+    });
+    redactionEnabledInput.addEventListener('change', handlePrivacySettingsChange);
+    redactionPatternList.addEventListener('change', handlePrivacySettingsChange);
+    customPatternList.addEventListener('change', handlePrivacySettingsChange);
+    customPatternList.addEventListener('click', removeCustomPattern);
+    addCustomPatternBtn.addEventListener('click', addCustomPattern);
+    blindReviewInput.addEventListener('change', (e) => setBlindReview(e.target.checked));
+
+    currentSession = createSession();
+    const startup = Promise.all([
+        renderSessionList(),
+        renderSavedRubrics(),
+        loadPrivacySettings(),
+        loadSavedSearches(),
+        reopenInterruptedSession()
+    ]);
+
+    // The headless suite in tests/ sets this flag before load to reach the logic inside this closure.
+    if (window.cvAnalyzerTestMode) {
+        window.cvAnalyzer = {
+            ready: startup,
+            state: {
+                get processedCVs() { return processedCVs; },
+                set processedCVs(value) { processedCVs = value; },
+                get jobDescriptions() { return jobDescriptions; },
+                set jobDescriptions(value) { jobDescriptions = value; },
+                get comparisonRuns() { return comparisonRuns; },
+                set comparisonRuns(value) { comparisonRuns = value; }
+            },
+            extractTextFromFile,
+            getUnsupportedReason,
+            getStatusRowId,
+            addStatusRow,
+            updateStatus,
+            normalizeAnalysis,
+            renderCandidateCards,
+            renderComparisonResults,
+            renderComparisonDetail,
+            updateCandidateStage,
+            buildCandidateRows,
+            buildExportWorkbook,
+            openShortlistReport,
+            showDuplicateDialog,
+            EXPORT_COLUMNS,
+            parseSearchQuery,
+            redactText
+        };
+    }
 };
\ No newline at end of file
@@ -0,0 +1,212 @@
+// End-to-end runs against the mock API: files go in through the folder picker and results come back through fetch.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createFile, fixtureFile, chooseFiles, selectFolder, waitFor } = require('./helpers/load-app');
+const { startMockServer, RESPONSES } = require('./helpers/mock-server');
+
+const CV_TEXT = 'Jane Doe\nSenior Python developer with 7 years experience\nSkills: Python, AWS, Docker';
+const FOLDER = 'CVs';
+
+let server;
+test.before(async () => {
+    server = await startMockServer();
+});
+test.after(() => server.close());
+
+async function uploadCVs(t, files, loaded) {
+    if (!loaded) {
+        loaded = await loadApp({ serverUrl: server.url });
+        t.after(loaded.close);
+    }
+    const { window, app } = loaded;
+    // Files are given by their path inside the picked folder, e.g. "a/cv.pdf".
+    const fileList = files.map(([filePath, text]) => {
+        const parts = filePath.split('/');
+        const name = parts.pop();
+        const directory = [FOLDER, ...parts].join('/');
+        return text === undefined ? fixtureFile(window, name, { directory }) : createFile(window, name, text, { directory });
+    });
+    selectFolder(window, fileList);
+    const statusRow = filePath => window.document.getElementById(app.getStatusRowId(`${FOLDER}/${filePath}`));
+    const statusOf = filePath => statusRow(filePath).querySelector('.status-cell > div > span:nth-of-type(2)').textContent;
+    // A file is finished once its status row shows a terminal state.
+    await waitFor(() => files.every(([filePath]) => /^(Complete|Skipped:|Error:)/.test(statusOf(filePath))), { timeout: 10000 });
+    return { ...loaded, statusRow, statusOf };
+}
+
+test('analyses uploaded CVs with the canned response', async t => {
+    const { app, document, statusOf } = await uploadCVs(t, [['jane.txt', CV_TEXT], ['cv.docx']]);
+
+    assert.equal(statusOf('jane.txt'), 'Complete');
+    assert.equal(statusOf('cv.docx'), 'Complete');
+    const jane = app.state.processedCVs.find(cv => cv.filename === `${FOLDER}/jane.txt`);
+    assert.equal(jane.name, 'Jane Doe');
+    assert.equal(jane.totalExperienceYears, 7);
+    assert.deepEqual([...jane.skills], ['Python', 'AWS', 'Docker']);
+    assert.equal(document.querySelectorAll('#candidate-grid .candidate-card').length, 2);
+});
+
+test('sends the CV text with personal details masked', async t => {
+    const before = server.requests.length;
+    await uploadCVs(t, [['contact.txt', `${CV_TEXT}\nEmail: jane.doe@example.com`]]);
+
+    const [request] = server.requests.slice(before).filter(entry => entry.path === '/api/analyze-cv');
+    assert.match(request.body.cvText, /\[EMAIL_1\]/);
+    assert.doesNotMatch(request.body.cvText, /jane\.doe@example\.com/);
+});
+
+test('reports malformed JSON from the API', async t => {
+    server.respondOnce('/api/analyze-cv', RESPONSES.malformedJson);
+    const { app, statusOf } = await uploadCVs(t, [['jane.txt', CV_TEXT]]);
+
+    assert.match(statusOf('jane.txt'), /^Error: /);
+    assert.equal(app.state.processedCVs.length, 0);
+});
+
+test('rejects a response that is not an analysis object', async t => {
+    server.respondOnce('/api/analyze-cv', RESPONSES.unexpectedShape);
+    const { app, statusOf } = await uploadCVs(t, [['jane.txt', CV_TEXT]]);
+
+    assert.equal(statusOf('jane.txt'), 'Error: AI analysis returned an unexpected response.');
+    assert.equal(app.state.processedCVs.length, 0);
+});
+
+test('fills in fields missing from the analysis', async t => {
+    server.respondOnce('/api/analyze-cv', RESPONSES.missingFields);
+    const { app, document, statusOf } = await uploadCVs(t, [['sparse.txt', CV_TEXT]]);
+
+    assert.equal(statusOf('sparse.txt'), 'Complete');
+    const [cv] = app.state.processedCVs;
+    assert.deepEqual([...cv.skills], []);
+    assert.equal(cv.totalExperienceYears, 0);
+    assert.match(document.querySelector('#candidate-grid .candidate-card').textContent, /No skills extracted\./);
+});
+
+test('does not retry client errors', async t => {
+    server.respondOnce('/api/analyze-cv', RESPONSES.badRequest);
+    const before = server.requests.length;
+    const { statusOf } = await uploadCVs(t, [['jane.txt', CV_TEXT]]);
+
+    assert.match(statusOf('jane.txt'), /^Error: Server error: 400 /);
+    assert.equal(server.requests.length - before, 1);
+});
+
+test('retries server errors and then succeeds', async t => {
+    server.respondOnce('/api/analyze-cv', RESPONSES.serverError);
+    const before = server.requests.length;
+    const { statusOf } = await uploadCVs(t, [['jane.txt', CV_TEXT]]);
+
+    assert.equal(statusOf('jane.txt'), 'Complete');
+    assert.equal(server.requests.length - before, 2);
+});
+
+test('reports unreadable files without calling the API', async t => {
+    const before = server.requests.length;
+    const { statusRow, statusOf } = await uploadCVs(t, [['protected.pdf'], ['corrupt.docx']]);
+
+    assert.equal(statusOf('protected.pdf'), 'Error: Password-protected PDF. Remove the password and try again.');
+    assert.equal(statusOf('corrupt.docx'), 'Error: Invalid DOCX file. The file may be corrupt.');
+    assert.ok(statusRow('protected.pdf').querySelector('.queue-retry-btn'));
+    assert.equal(server.requests.length, before);
+});
+
+test('keeps files with the same name in different subfolders apart', async t => {
+    const { app, document, statusOf } = await uploadCVs(t, [
+        ['a/cv.txt', CV_TEXT],
+        ['b/cv.txt', 'John Roe\nJava developer with 3 years experience\nSkills: Java, React, GCP']
+    ]);
+
+    assert.equal(statusOf('a/cv.txt'), 'Complete');
+    assert.equal(statusOf('b/cv.txt'), 'Complete');
+    assert.equal(document.querySelectorAll('#status-table-body tr').length, 2);
+    assert.deepEqual(Array.from(app.state.processedCVs, cv => cv.filename).sort(), ['CVs/a/cv.txt', 'CVs/b/cv.txt']);
+});
+
+test('merges a folder into a session started from an import', async t => {
+    const loaded = await loadApp({ serverUrl: server.url });
+    t.after(loaded.close);
+    const { window, app, document } = loaded;
+    const exported = JSON.stringify({ candidates: [{ candidateId: 'imported-1', name: 'Ada Lovelace', skills: ['Python'], stage: 'Screened' }] });
+    chooseFiles(window, 'importInput', [createFile(window, 'export.json', exported)]);
+    await waitFor(() => app.state.processedCVs.length === 1);
+
+    assert.ok(document.querySelector('#processing-section label[for="folderInput"]'));
+    await uploadCVs(t, [['jane.txt', CV_TEXT]], loaded);
+
+    assert.deepEqual(Array.from(app.state.processedCVs, cv => cv.name), ['Ada Lovelace', 'Jane Doe']);
+});
+
+test('does not analyse a folder again when it is picked twice', async t => {
+    const loaded = await uploadCVs(t, [['jane.txt', CV_TEXT]]);
+    const { window, app, document } = loaded;
+    const before = server.requests.length;
+    await uploadCVs(t, [['jane.txt', CV_TEXT]], loaded);
+
+    assert.equal(server.requests.length, before);
+    assert.equal(app.state.processedCVs.length, 1);
+    assert.equal(document.querySelectorAll('#status-table-body tr').length, 1);
+    assert.deepEqual([...window.alerts], ['Every CV in that folder is already in this session.']);
+});
+
+test('skips a file with the same text as one already analysed', async t => {
+    const loaded = await uploadCVs(t, [['jane.txt', CV_TEXT]]);
+    const before = server.requests.length;
+    const { app, statusOf } = await uploadCVs(t, [['copy/jane.txt', CV_TEXT]], loaded);
+
+    assert.equal(statusOf('copy/jane.txt'), `Skipped: same text as ${FOLDER}/jane.txt`);
+    assert.equal(server.requests.length, before);
+    assert.equal(app.state.processedCVs.length, 1);
+});
+
+test('comparison', async t => {
+    const { window, app, document } = await uploadCVs(t, [
+        ['jane.txt', CV_TEXT],
+        ['john.txt', 'John Roe\nJava developer with 3 years experience\nSkills: Java, React, GCP']
+    ]);
+    const container = document.getElementById('comparison-results-container');
+    const compare = async () => {
+        app.state.jobDescriptions = [{ id: 'jd-1', name: 'Backend Engineer', text: 'Python developer with AWS experience', rubricId: '' }];
+        document.getElementById('compareBtn').click();
+        await waitFor(() => !document.getElementById('compareBtn').disabled && !container.querySelector('.spinner'));
+    };
+
+    await t.test('ranks every candidate from the canned scores', async () => {
+        await compare();
+        const rows = Array.from(container.querySelectorAll('.ranking-row'));
+        assert.equal(rows.length, 2);
+        assert.equal(app.state.comparisonRuns['jd-1'].length, 2);
+        assert.ok(app.state.comparisonRuns['jd-1'][0].score >= app.state.comparisonRuns['jd-1'][1].score);
+    });
+
+    await t.test('merges a comparison of selected candidates into the existing ranking', async () => {
+        const john = app.state.processedCVs.find(cv => cv.name === 'John Roe');
+        const jane = app.state.processedCVs.find(cv => cv.name === 'Jane Doe');
+        const janeScore = app.state.comparisonRuns['jd-1'].find(result => result.candidateId === jane.candidateId).score;
+        const checkbox = document.querySelector(`.candidate-select[data-candidate-id="${john.candidateId}"]`);
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new window.Event('change', { bubbles: true }));
+        server.respondOnce('/api/compare', { body: [{ candidateId: john.candidateId, name: 'John Roe', score: 99, justification: 'Re-scored.', gatePassed: true }] });
+        document.getElementById('bulkCompareBtn').click();
+        await waitFor(() => !document.getElementById('compareBtn').disabled && !container.querySelector('.spinner'));
+
+        const run = app.state.comparisonRuns['jd-1'];
+        assert.deepEqual(Array.from(run, result => result.candidateId), [john.candidateId, jane.candidateId]);
+        assert.equal(run[0].score, 99);
+        assert.equal(run[1].score, janeScore);
+        assert.equal(container.querySelectorAll('.ranking-row').length, 2);
+    });
+
+    await t.test('compares a restored candidate that has no skills array', async () => {
+        delete app.state.processedCVs[0].skills;
+        await compare();
+        assert.doesNotMatch(container.textContent, /An error occurred/);
+        assert.equal(container.querySelectorAll('.ranking-row').length, 2);
+    });
+
+    await t.test('shows an error when the compare call fails', async () => {
+        server.respondOnce('/api/compare', RESPONSES.serverError);
+        await compare();
+        assert.match(container.textContent, /An error occurred during comparison: Server error: 500/);
+        assert.equal(window.alerts.length, 0);
+    });
+});
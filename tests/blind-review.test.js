@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, waitFor } = require('./helpers/load-app');
+const { makeCandidate } = require('./helpers/candidates');
+
+test('blind review', async t => {
+    const { window, app, document, close } = await loadApp();
+    t.after(close);
+    const jane = makeCandidate({ name: 'Jane Doe', emails: ['jane@example.com'], phones: ['+44 20 7946 0958'], summary: 'Jane Doe leads payment teams.', notes: 'Call Jane back on Friday.', filename: 'Jane_Doe_CV.pdf' });
+    const copy = makeCandidate({ name: 'Jane Doe', emails: ['jane@example.com'], phones: [], filename: 'jane-doe-2024.pdf' });
+    app.state.processedCVs = [jane, copy];
+    const toggle = document.getElementById('blindReviewInput');
+    toggle.checked = true;
+    toggle.dispatchEvent(new window.Event('change'));
+
+    await t.test('hides names, contact details and file names in the duplicate dialog', () => {
+        app.showDuplicateDialog();
+        const dialog = document.getElementById('modal-body').textContent;
+        assert.doesNotMatch(dialog, /Jane|jane@example\.com|7946|\.pdf/);
+        assert.match(dialog, /Candidate [A-Z0-9-]{4}/);
+    });
+
+    await t.test('hides names, contact details and file names in the shortlist report', () => {
+        let html = '';
+        window.open = () => ({ document: { write: chunk => { html += chunk; }, close() {} }, focus() {}, print() {} });
+        app.openShortlistReport([jane], 'Shortlist');
+        assert.doesNotMatch(html, /Jane|jane@example\.com|7946|\.pdf/);
+        assert.match(html, /Candidate [A-Z0-9-]{4} leads payment teams\./);
+    });
+
+    await t.test('hides names in pipeline card notes', () => {
+        app.renderCandidateCards();
+        const card = document.querySelector(`.pipeline-card[data-candidate-id="${jane.candidateId}"]`);
+        assert.doesNotMatch(card.innerHTML, /Jane/);
+        assert.match(card.textContent, /Call Candidate [A-Z0-9-]{4} back on Friday\./);
+    });
+
+    await t.test('does not let a search find a hidden candidate by name', async () => {
+        const input = document.getElementById('candidate-search-input');
+        const status = document.getElementById('candidate-search-status');
+        const search = async query => {
+            input.value = query;
+            input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+            await waitFor(() => status.textContent.includes(`"${query}"`));
+            return document.querySelectorAll('#candidate-grid .candidate-card').length;
+        };
+
+        assert.equal(await search('name:jane'), 0);
+        assert.equal(await search('jane'), 0);
+        assert.equal(await search(`name:${jane.candidateId.slice(-4)}`), 1);
+    });
+});
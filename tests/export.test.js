@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { loadApp } = require('./helpers/load-app');
+const { makeCandidate } = require('./helpers/candidates');
+
+test('Excel mapping', async t => {
+    const { window, app, close } = await loadApp();
+    t.after(close);
+    const allColumns = app.EXPORT_COLUMNS.map(column => column.key);
+    // Write the workbook out and read it back, as Excel would see it. Base64 keeps the bytes clear of jsdom's realm.
+    const readBack = workbook => XLSX.read(window.XLSX.write(workbook, { type: 'base64', bookType: 'xlsx' }), { type: 'base64' });
+
+    await t.test('maps each candidate to one row keyed by column label', () => {
+        const candidate = makeCandidate({ name: 'Jane Doe', emails: ['jane@example.com'], skills: ['Python', 'AWS'], tags: ['remote'], shortlisted: true, rating: 4 });
+        const [row] = app.buildCandidateRows([candidate], allColumns);
+
+        assert.deepEqual(Object.keys(row), Array.from(app.EXPORT_COLUMNS, column => column.label));
+        assert.equal(row['Name'], 'Jane Doe');
+        assert.equal(row['Email'], 'jane@example.com');
+        assert.equal(row['Skills'], 'Python, AWS');
+        assert.equal(row['Experience (Yrs)'], 5);
+        assert.equal(row['Shortlisted'], 'Yes');
+        assert.equal(row['Rating'], 4);
+        assert.equal(row['Tags'], 'remote');
+    });
+
+    await t.test('fills gaps the AI left with N/A', () => {
+        const [row] = app.buildCandidateRows([makeCandidate({ name: undefined, skills: undefined, companies: '', totalExperienceYears: undefined })], allColumns);
+        assert.equal(row['Name'], 'N/A');
+        assert.equal(row['Skills'], 'N/A');
+        assert.equal(row['Companies'], 'N/A');
+        assert.equal(row['Experience (Yrs)'], 0);
+    });
+
+    await t.test('keeps only the chosen columns, in export order', () => {
+        const [row] = app.buildCandidateRows([makeCandidate()], ['skills', 'name']);
+        assert.deepEqual(Object.keys(row), ['Name', 'Skills']);
+    });
+
+    await t.test('builds candidate and skill sheets that survive a round trip', () => {
+        const candidates = [makeCandidate({ name: 'Jane Doe', skills: ['Python', 'AWS'] }), makeCandidate({ name: 'John Roe', skills: [] })];
+        app.state.processedCVs = candidates;
+        const workbook = readBack(app.buildExportWorkbook(candidates, { columns: ['name', 'skills'], sheets: ['candidates', 'skills'] }));
+
+        assert.deepEqual(workbook.SheetNames, ['Candidates', 'Skills']);
+        assert.deepEqual(XLSX.utils.sheet_to_json(workbook.Sheets['Candidates']), [
+            { 'Name': 'Jane Doe', 'Skills': 'Python, AWS' },
+            { 'Name': 'John Roe', 'Skills': 'N/A' }
+        ]);
+        assert.deepEqual(XLSX.utils.sheet_to_json(workbook.Sheets['Skills']).map(row => [row['Name'], row['Skill']]), [['Jane Doe', 'Python'], ['Jane Doe', 'AWS']]);
+    });
+
+    await t.test('adds a ranking sheet per compared role', () => {
+        const jane = makeCandidate({ name: 'Jane Doe' });
+        const john = makeCandidate({ name: 'John Roe', skills: undefined });
+        app.state.processedCVs = [jane, john];
+        app.state.jobDescriptions = [{ id: 'jd-1', name: 'Backend Engineer', text: 'Python and AWS', rubricId: '' }];
+        app.state.comparisonRuns = {
+            'jd-1': [
+                { candidateId: john.candidateId, name: 'John Roe', score: 81, justification: 'Strong AWS background.', gatePassed: true },
+                { candidateId: jane.candidateId, name: 'Jane Doe', score: 64, justification: 'Good Python skills.', gatePassed: false, failedMustHaves: ['Kubernetes'] }
+            ]
+        };
+        const workbook = readBack(app.buildExportWorkbook([jane, john], { columns: ['name'], sheets: ['comparison'] }));
+
+        assert.deepEqual(workbook.SheetNames, ['Ranking - Backend Engineer']);
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets['Ranking - Backend Engineer']);
+        assert.deepEqual(rows.map(row => [row['Rank'], row['Name'], row['Score'], row['Must-haves']]), [
+            [1, 'John Roe', 81, 'Pass'],
+            [2, 'Jane Doe', 64, 'Fails: Kubernetes']
+        ]);
+    });
+});
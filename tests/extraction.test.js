@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, fixtureFile, createFile } = require('./helpers/load-app');
+
+test('extractTextFromFile', async t => {
+    const { window, app, close } = await loadApp();
+    t.after(close);
+
+    await t.test('reads plain text files as-is', async () => {
+        const text = await app.extractTextFromFile(createFile(window, 'cv.txt', 'Jane Doe\nPython developer'));
+        assert.equal(text, 'Jane Doe\nPython developer');
+    });
+
+    await t.test('dispatches .pdf files to pdf.js', async () => {
+        const text = await app.extractTextFromFile(fixtureFile(window, 'cv.pdf'));
+        assert.match(text, /Jane Doe/);
+        assert.match(text, /Python, AWS, Docker, PostgreSQL/);
+    });
+
+    await t.test('dispatches .docx files to mammoth', async () => {
+        const text = await app.extractTextFromFile(fixtureFile(window, 'cv.docx'));
+        assert.match(text, /^Jane Doe/);
+        assert.match(text, /Worked at Acme Bank and Globex/);
+    });
+
+    await t.test('keeps the text layer when OCR of a sparse page fails', async st => {
+        // jsdom has no canvas, so page rendering is skipped and the failure comes from Tesseract itself.
+        const { pdfjsLib, HTMLCanvasElement } = window;
+        const { getDocument } = pdfjsLib;
+        const { getContext } = HTMLCanvasElement.prototype;
+        pdfjsLib.getDocument = data => ({
+            promise: getDocument(data).promise.then(pdf => ({
+                numPages: pdf.numPages,
+                getPage: async number => Object.assign(await pdf.getPage(number), { render: () => ({ promise: Promise.resolve() }) })
+            }))
+        });
+        HTMLCanvasElement.prototype.getContext = () => ({});
+        window.Tesseract = { OEM: { LSTM_ONLY: 1 }, createWorker: async () => { throw new Error('Tesseract failed to load'); } };
+        st.after(() => {
+            pdfjsLib.getDocument = getDocument;
+            HTMLCanvasElement.prototype.getContext = getContext;
+            delete window.Tesseract;
+        });
+        const text = await app.extractTextFromFile(fixtureFile(window, 'sparse.pdf'));
+        assert.match(text, /Jane Doe Python/);
+    });
+
+    await t.test('loads the OCR engine from pinned paths and explains when it cannot be downloaded', async st => {
+        const calls = [];
+        window.Tesseract = { OEM: { LSTM_ONLY: 1 }, createWorker: async (...args) => { calls.push(args); throw new Error('NetworkError'); } };
+        st.after(() => { delete window.Tesseract; });
+
+        await assert.rejects(app.extractTextFromFile(createFile(window, 'scan.png', 'x')), { message: 'The OCR engine could not be downloaded. OCR needs an internet connection.' });
+        const [[lang, oem, options]] = calls;
+        assert.equal(lang, 'eng');
+        assert.equal(oem, 1);
+        assert.deepEqual(Object.keys(options).sort(), ['corePath', 'langPath', 'workerPath']);
+        assert.match(options.langPath, /@tesseract\.js-data\/eng@1\.0\.0\//);
+    });
+
+    await t.test('reports a password-protected PDF', async () => {
+        await assert.rejects(app.extractTextFromFile(fixtureFile(window, 'protected.pdf')), { message: 'Password-protected PDF. Remove the password and try again.' });
+    });
+
+    await t.test('reports a corrupt PDF', async () => {
+        await assert.rejects(app.extractTextFromFile(fixtureFile(window, 'corrupt.pdf')), { message: 'Invalid PDF structure. File may be corrupt or password-protected.' });
+    });
+
+    await t.test('reports a password-protected DOCX', async () => {
+        await assert.rejects(app.extractTextFromFile(fixtureFile(window, 'protected.docx')), { message: 'Encrypted DOCX file. The file is password-protected.' });
+    });
+
+    await t.test('reports a truncated DOCX', async () => {
+        await assert.rejects(app.extractTextFromFile(fixtureFile(window, 'corrupt.docx')), { message: 'Invalid DOCX file. The file may be corrupt.' });
+    });
+
+    await t.test('rejects extensions without an extractor', async () => {
+        await assert.rejects(app.extractTextFromFile(createFile(window, 'cv.pages', 'x')), { message: 'Unsupported file type' });
+    });
+});
+
+test('getUnsupportedReason', async t => {
+    const { window, app, close } = await loadApp();
+    t.after(close);
+    const reasonFor = (name, contents = 'text') => app.getUnsupportedReason(createFile(window, name, contents));
+
+    await t.test('accepts the supported document formats', () => {
+        ['cv.pdf', 'cv.docx', 'cv.doc', 'cv.txt', 'cv.rtf', 'cv.odt', 'cv.html'].forEach(name => assert.equal(reasonFor(name), null, name));
+    });
+
+    await t.test('skips system and temporary files', () => {
+        assert.equal(reasonFor('.DS_Store'), 'System or temporary file');
+        assert.equal(reasonFor('~$cv.docx'), 'System or temporary file');
+    });
+
+    await t.test('explains why other files are skipped', () => {
+        assert.equal(reasonFor('README'), 'No file extension');
+        assert.equal(reasonFor('cv.pages'), 'Unsupported format (.pages)');
+        assert.equal(reasonFor('scan.gif'), 'Unsupported format (.gif)');
+        assert.equal(reasonFor('cv.pdf', ''), 'Empty file (0 bytes)');
+    });
+});
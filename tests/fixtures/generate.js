@@ -0,0 +1,91 @@
+// Rebuilds the CV fixtures used by the extraction tests: `npm run fixtures`.
+// The PDFs are written by hand so the files stay tiny and their structure is obvious in a hex dump.
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const XLSX = require('xlsx');
+
+const FIXTURE_DIR = __dirname;
+const CV_LINES = [
+    'Jane Doe',
+    'Senior Python developer with 7 years experience',
+    'Skills: Python, AWS, Docker, PostgreSQL',
+    'Worked at Acme Bank and Globex building payment APIs'
+];
+
+function buildPdf({ lines, encrypt = false }) {
+    const content = ['BT', '/F1 12 Tf', '72 720 Td', '14 TL', ...lines.map(line => `(${line}) Tj T*`), 'ET'].join('\n');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    // A standard security handler whose /U entry matches no password, so readers must ask for one.
+    if (encrypt) objects.push(`<< /Filter /Standard /V 1 /R 2 /O <${'ab'.repeat(32)}> /U <${'cd'.repeat(32)}> /P -44 >>`);
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    const encryption = encrypt ? ` /Encrypt ${objects.length} 0 R /ID [<${'01'.repeat(16)}> <${'01'.repeat(16)}>]` : '';
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R${encryption} >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+async function buildDocx(lines) {
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+        + '</Types>');
+    zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+        + '</Relationships>');
+    zip.file('word/document.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>'
+        + lines.map(line => `<w:p><w:r><w:t>${line}</w:t></w:r></w:p>`).join('')
+        + '</w:body></w:document>');
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+function buildEncryptedDocx() {
+    // Word saves password-protected documents as an OLE compound file instead of a ZIP package.
+    const cfb = XLSX.CFB.utils.cfb_new();
+    XLSX.CFB.utils.cfb_add(cfb, 'EncryptionInfo', Buffer.from([4, 0, 4, 0, 0x40, 0, 0, 0]));
+    XLSX.CFB.utils.cfb_add(cfb, 'EncryptedPackage', Buffer.alloc(512, 0x5a));
+    return Buffer.from(XLSX.CFB.write(cfb, { type: 'array' }));
+}
+
+async function main() {
+    const validDocx = await buildDocx(CV_LINES);
+    const fixtures = {
+        'cv.pdf': buildPdf({ lines: CV_LINES }),
+        // Under the OCR threshold, so extraction tries OCR on its only page.
+        'sparse.pdf': buildPdf({ lines: ['Jane Doe', 'Python'] }),
+        'protected.pdf': buildPdf({ lines: CV_LINES, encrypt: true }),
+        'corrupt.pdf': Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog\n% the rest of this file was lost in transfer\n', 'latin1'),
+        'cv.docx': validDocx,
+        'protected.docx': buildEncryptedDocx(),
+        // A ZIP cut off before its central directory, like an interrupted download.
+        'corrupt.docx': validDocx.subarray(0, Math.floor(validDocx.length / 2))
+    };
+    Object.entries(fixtures).forEach(([name, data]) => {
+        fs.writeFileSync(path.join(FIXTURE_DIR, name), data);
+        console.log(`Wrote ${name} (${data.length} bytes)`);
+    });
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,28 @@
+// Candidates shaped like the ones processFile() adds to processedCVs.
+let nextId = 1;
+
+function makeCandidate(overrides = {}) {
+    const id = nextId++;
+    return {
+        candidateId: `cand-${id}`,
+        name: `Candidate ${id}`,
+        filename: `candidate-${id}.pdf`,
+        totalExperienceYears: 5,
+        skills: ['Python', 'AWS'],
+        summary: 'Backend developer.',
+        companies: 'Acme Bank',
+        education: 'BSc Computer Science',
+        discipline: 'Software Engineering',
+        industry: 'Finance',
+        emails: [],
+        phones: [],
+        stage: 'New',
+        notes: '',
+        tags: [],
+        rating: 0,
+        pii: {},
+        ...overrides
+    };
+}
+
+module.exports = { makeCandidate };
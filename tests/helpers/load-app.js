@@ -0,0 +1,125 @@
+// Boots templates/index.html and static/index.js inside jsdom, with the CDN libraries loaded from node_modules
+// and fetch pointed at a mock server. The app exposes its internals as `window.cvAnalyzer` in test mode.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+const LIBRARIES = [
+    require.resolve('xlsx/dist/xlsx.full.min.js'),
+    require.resolve('mammoth/mammoth.browser.min.js'),
+    require.resolve('jszip/dist/jszip.min.js')
+];
+
+async function loadApp({ serverUrl = 'http://127.0.0.1/' } = {}) {
+    // The page's <script src> tags point at CDNs; the same libraries are evaluated from node_modules below instead.
+    const html = fs.readFileSync(path.join(ROOT, 'templates', 'index.html'), 'utf8').replace(/<script\b[^>]*\bsrc="[^"]*"[^>]*><\/script>/g, '');
+    const dom = new JSDOM(html, { runScripts: 'outside-only', pretendToBeVisual: true, url: serverUrl });
+    const window = dom.window;
+
+    // A fresh IndexedDB per load keeps sessions and saved settings from leaking between tests.
+    window.indexedDB = new IDBFactory();
+    window.IDBKeyRange = IDBKeyRange;
+    window.structuredClone = structuredClone;
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+    window.alerts = [];
+    window.alert = message => window.alerts.push(message);
+    window.confirm = () => true;
+    window.Element.prototype.scrollIntoView = () => {};
+    // jsdom's Blob has no arrayBuffer(); the import reads files through it.
+    window.Blob.prototype.arrayBuffer = function () {
+        return new Promise((resolve, reject) => {
+            const reader = new window.FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(this);
+        });
+    };
+
+    LIBRARIES.forEach(file => window.eval(fs.readFileSync(file, 'utf8')));
+    // pdf.js only accepts typed arrays from its own realm, so the bytes are copied across.
+    window.pdfjsLib = {
+        GlobalWorkerOptions: {},
+        getDocument: data => pdfjs.getDocument({ data: new Uint8Array(data), verbosity: pdfjs.VerbosityLevel.ERRORS })
+    };
+    window.fetch = createFetch(window, serverUrl);
+
+    window.cvAnalyzerTestMode = true;
+    window.eval(fs.readFileSync(path.join(ROOT, 'static', 'index.js'), 'utf8'));
+    // Startup restores settings and sessions from IndexedDB; tests begin once that has finished.
+    const app = await waitFor(() => window.cvAnalyzer);
+    await app.ready;
+    return {
+        window,
+        app,
+        document: window.document,
+        // Saves a test triggered may still be writing to IndexedDB; let them land before tearing down.
+        close: async () => {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            window.close();
+        }
+    };
+}
+
+// Node's fetch, shaped like the browser's as far as the app can tell: errors and JSON come from the window's realm.
+function createFetch(window, serverUrl) {
+    return async (url, options = {}) => {
+        const controller = new AbortController();
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', () => controller.abort());
+        }
+        let response;
+        try {
+            response = await fetch(new URL(url, serverUrl), { method: options.method, headers: options.headers, body: options.body, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') throw new window.DOMException('Aborted', 'AbortError');
+            throw new window.TypeError('Failed to fetch');
+        }
+        const text = await response.text();
+        return {
+            ok: response.ok,
+            status: response.status,
+            headers: response.headers,
+            text: async () => text,
+            json: async () => window.JSON.parse(text)
+        };
+    };
+}
+
+function fixtureFile(window, name, { directory = 'CVs', type = '' } = {}) {
+    return createFile(window, name, fs.readFileSync(path.join(FIXTURE_DIR, name)), { directory, type });
+}
+
+function createFile(window, name, contents, { directory = 'CVs', type = '' } = {}) {
+    const file = new window.File([contents], name, { type });
+    Object.defineProperty(file, 'webkitRelativePath', { value: `${directory}/${name}` });
+    return file;
+}
+
+// Drives a file picker the way a user would: set its file list and fire `change`.
+function chooseFiles(window, inputId, files) {
+    const input = window.document.getElementById(inputId);
+    Object.defineProperty(input, 'files', { value: files, configurable: true });
+    input.dispatchEvent(new window.Event('change'));
+}
+
+function selectFolder(window, files) {
+    chooseFiles(window, 'folderInput', files);
+}
+
+async function waitFor(check, { timeout = 5000, interval = 20 } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const value = check();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error(`Timed out after ${timeout}ms waiting for ${check}`);
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+module.exports = { loadApp, fixtureFile, createFile, chooseFiles, selectFolder, waitFor };
@@ -0,0 +1,79 @@
+// A local stand-in for the Flask API. Each route answers with a canned response derived from the request,
+// unless a test has queued a specific one with respondOnce().
+const http = require('http');
+
+const KNOWN_SKILLS = ['Python', 'AWS', 'Docker', 'PostgreSQL', 'Java', 'React', 'GCP'];
+
+// Ready-made failure modes for respondOnce().
+const RESPONSES = {
+    malformedJson: { raw: '{"name": "Jane Doe", "skills": [' },
+    unexpectedShape: { body: ['not', 'an', 'object'] },
+    missingFields: { body: { name: 'No Skills' } },
+    badRequest: { status: 400, body: { error: 'CV text is too short or missing.' } },
+    serverError: { status: 500, body: { error: 'An unexpected error occurred during CV analysis.' } }
+};
+
+function analyzeCv({ cvText }) {
+    const lines = cvText.split('\n').map(line => line.trim()).filter(Boolean);
+    const years = /(\d+)\s+years/i.exec(cvText);
+    return {
+        name: lines[0] || 'Unknown',
+        totalExperienceYears: years ? Number(years[1]) : 0,
+        skills: KNOWN_SKILLS.filter(skill => new RegExp(`\\b${skill}\\b`, 'i').test(cvText)),
+        summary: lines[1] || '',
+        companies: 'Acme Bank',
+        education: 'BSc Computer Science',
+        discipline: 'Software Engineering',
+        industry: 'Finance'
+    };
+}
+
+function compare({ candidates }) {
+    return candidates.map((candidate, i) => ({
+        candidateId: candidate.candidateId,
+        name: candidate.name,
+        score: Math.max(0, 90 - i * 15),
+        justification: `${candidate.name} has relevant experience.`,
+        gatePassed: true
+    }));
+}
+
+const ROUTES = {
+    '/api/analyze-cv': analyzeCv,
+    '/api/compare': compare
+};
+
+function startMockServer() {
+    const requests = [];
+    const queued = Object.fromEntries(Object.keys(ROUTES).map(route => [route, []]));
+
+    const server = http.createServer(async (req, res) => {
+        let raw = '';
+        for await (const chunk of req) raw += chunk;
+        const body = raw ? JSON.parse(raw) : null;
+        requests.push({ path: req.url, body });
+
+        const route = ROUTES[req.url];
+        if (!route) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Not found' }));
+            return;
+        }
+        const response = queued[req.url].shift() || { body: route(body) };
+        res.writeHead(response.status || 200, { 'Content-Type': 'application/json', ...response.headers });
+        res.end(response.raw ?? JSON.stringify(response.body));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/`,
+            requests,
+            respondOnce(route, response) {
+                queued[route].push(response);
+            },
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+module.exports = { startMockServer, RESPONSES };
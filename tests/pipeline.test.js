@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+const { makeCandidate } = require('./helpers/candidates');
+
+test('shortlist star and pipeline stage', async t => {
+    const { app, document, close } = await loadApp();
+    t.after(close);
+    const candidate = makeCandidate({ name: 'Jane Doe' });
+    app.state.processedCVs = [candidate];
+    app.renderComparisonResults([{ candidateId: candidate.candidateId, name: 'Jane Doe', score: 75, justification: 'Good fit.' }]);
+    const clickStar = () => document.querySelector('.shortlist-toggle-btn').click();
+
+    await t.test('moving a candidate through the pipeline sets the star', () => {
+        app.updateCandidateStage(candidate, 'Interview');
+        assert.equal(candidate.shortlisted, true);
+        assert.equal(document.querySelector('.shortlist-toggle-btn').title, 'Remove from shortlist');
+
+        app.updateCandidateStage(candidate, 'Screened');
+        assert.equal(candidate.shortlisted, false);
+        assert.equal(document.querySelector('.shortlist-toggle-btn').title, 'Add to shortlist');
+
+        app.updateCandidateStage(candidate, 'Offer');
+        app.updateCandidateStage(candidate, 'New');
+        assert.equal(candidate.shortlisted, false);
+    });
+
+    await t.test('starring a candidate shortlists them', () => {
+        clickStar();
+        assert.equal(candidate.stage, 'Shortlisted');
+        assert.equal(candidate.shortlisted, true);
+        assert.match(document.querySelector(`.candidate-card[data-candidate-id="${candidate.candidateId}"] .stage-badge`).textContent, /Shortlisted/);
+    });
+
+    await t.test('un-starring a candidate further along moves them back to Screened', () => {
+        app.updateCandidateStage(candidate, 'Offer');
+        clickStar();
+        assert.equal(candidate.stage, 'Screened');
+        assert.equal(candidate.shortlisted, false);
+    });
+
+    await t.test('rejecting a candidate clears the star', () => {
+        clickStar();
+        app.updateCandidateStage(candidate, 'Rejected');
+        assert.equal(candidate.shortlisted, false);
+    });
+});
+
+test('bulk actions', async t => {
+    const { window, app, document, close } = await loadApp();
+    t.after(close);
+    const select = candidate => {
+        const checkbox = document.querySelector(`.candidate-select[data-candidate-id="${candidate.candidateId}"]`);
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new window.Event('change', { bubbles: true }));
+    };
+
+    await t.test('shortlisting the selection sets stage and star together but leaves rejected candidates alone', () => {
+        const fresh = makeCandidate({ stage: 'Screened' });
+        const interviewing = makeCandidate({ stage: 'Interview', shortlisted: true });
+        const rejected = makeCandidate({ stage: 'Rejected' });
+        app.state.processedCVs = [fresh, interviewing, rejected];
+        app.renderCandidateCards();
+        [fresh, interviewing, rejected].forEach(select);
+        document.getElementById('bulkShortlistBtn').click();
+
+        assert.deepEqual([fresh, interviewing, rejected].map(cv => [cv.stage, Boolean(cv.shortlisted)]), [['Shortlisted', true], ['Interview', true], ['Rejected', false]]);
+    });
+
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+test('redactText', async t => {
+    const { window, app, document, close } = await loadApp();
+    t.after(close);
+    // Plain copies, so results from the page compare cleanly with literals.
+    const redact = text => JSON.parse(JSON.stringify(app.redactText(text)));
+
+    await t.test('swaps each distinct value for a numbered placeholder', () => {
+        assert.deepEqual(redact('Email jane.doe@example.com, cc jane.doe@example.com or jd@example.org'), {
+            text: 'Email [EMAIL_1], cc [EMAIL_1] or [EMAIL_2]',
+            values: { '[EMAIL_1]': 'jane.doe@example.com', '[EMAIL_2]': 'jd@example.org' }
+        });
+    });
+
+    await t.test('masks phone numbers but not year ranges', () => {
+        assert.deepEqual(redact('Call +44 20 7946 0958. At Acme 2019-2023.'), {
+            text: 'Call [PHONE_1]. At Acme 2019-2023.',
+            values: { '[PHONE_1]': '+44 20 7946 0958' }
+        });
+    });
+
+    await t.test('masks only the number after an ID keyword', () => {
+        assert.equal(redact('Passport: 1234567 Nationality: British').text, 'Passport: [ID_NUMBER_1] Nationality: British');
+        assert.equal(redact('NI number AB 12 34 56 C').text, 'NI number [ID_NUMBER_1]');
+        assert.equal(redact('SSN 123-45-6789').text, 'SSN [ID_NUMBER_1]');
+    });
+
+    await t.test('masks dates of birth, addresses and profile links', () => {
+        assert.equal(redact('Date of birth: 12 March 1990').text, 'Date of birth: [DATE_OF_BIRTH_1]');
+        assert.equal(redact('Address: 221B Baker Street, London').text, 'Address: [ADDRESS_1]');
+        assert.equal(redact('See linkedin.com/in/janedoe and github.com/jdoe').text, 'See [PROFILE_URL_1] and [PROFILE_URL_2]');
+    });
+
+    await t.test('leaves ordinary CV text alone', () => {
+        const text = 'Led the ID migration of 12000 records; 7 years experience with Python 3.11.';
+        assert.deepEqual(redact(text), { text, values: {} });
+    });
+
+    await t.test('does nothing when redaction is switched off', () => {
+        const toggle = document.getElementById('redactionEnabledInput');
+        toggle.checked = false;
+        toggle.dispatchEvent(new window.Event('change', { bubbles: true }));
+        assert.deepEqual(redact('Email jane.doe@example.com'), { text: 'Email jane.doe@example.com', values: {} });
+    });
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+const { makeCandidate } = require('./helpers/candidates');
+
+test('candidate cards', async t => {
+    const { app, document, close } = await loadApp();
+    t.after(close);
+    const cards = () => Array.from(document.querySelectorAll('#candidate-grid .candidate-card'));
+
+    await t.test('renders one card per processed CV', () => {
+        app.state.processedCVs = [makeCandidate({ name: 'Jane Doe' }), makeCandidate({ name: 'John Roe' })];
+        app.renderCandidateCards();
+
+        assert.deepEqual(cards().map(card => card.querySelector('h3').textContent), ['Jane Doe', 'John Roe']);
+        assert.deepEqual(Array.from(cards()[0].querySelectorAll('.skill-tag'), tag => tag.textContent), ['Python', 'AWS']);
+    });
+
+    await t.test('shows at most five skills', () => {
+        app.state.processedCVs = [makeCandidate({ skills: ['A', 'B', 'C', 'D', 'E', 'F', 'G'] })];
+        app.renderCandidateCards();
+        assert.equal(cards()[0].querySelectorAll('.skill-tag').length, 5);
+    });
+
+    await t.test('copes with a candidate the AI returned no skills for', () => {
+        app.state.processedCVs = [makeCandidate({ skills: undefined, totalExperienceYears: undefined })];
+        app.renderCandidateCards();
+        assert.match(cards()[0].textContent, /No skills extracted\./);
+        assert.match(cards()[0].getAttribute('aria-label'), /0 years experience/);
+    });
+
+    await t.test('escapes names', () => {
+        app.state.processedCVs = [makeCandidate({ name: '<img src=x onerror=alert(1)>' })];
+        app.renderCandidateCards();
+        assert.equal(cards()[0].querySelector('img'), null);
+        assert.equal(cards()[0].querySelector('h3').textContent, '<img src=x onerror=alert(1)>');
+    });
+
+    await t.test('escapes imported skills and disciplines', () => {
+        app.state.processedCVs = [makeCandidate({ discipline: '<img src=x onerror=alert(1)>', skills: ['<script>alert(1)</script>', 'Python'] })];
+        app.renderCandidateCards();
+        assert.equal(cards()[0].querySelector('img, script'), null);
+        assert.match(cards()[0].textContent, /<img src=x onerror=alert\(1\)> • 5 Yrs Exp/);
+        assert.equal(cards()[0].querySelector('.skill-tag').textContent, '<script>alert(1)</script>');
+    });
+});
+
+test('comparison results', async t => {
+    const { app, document, close } = await loadApp();
+    t.after(close);
+    const container = document.getElementById('comparison-results-container');
+
+    await t.test('lists results in rank order', () => {
+        const jane = makeCandidate({ name: 'Jane Doe' });
+        const john = makeCandidate({ name: 'John Roe' });
+        app.state.processedCVs = [jane, john];
+        app.renderComparisonResults([
+            { candidateId: john.candidateId, name: 'John Roe', score: 82, justification: 'Strong AWS background.' },
+            { candidateId: jane.candidateId, name: 'Jane Doe', score: 64, justification: 'Good Python skills.' }
+        ]);
+
+        const rows = Array.from(container.querySelectorAll('.ranking-row'));
+        assert.equal(rows.length, 2);
+        assert.match(rows[0].textContent, /John Roe/);
+        assert.match(rows[1].textContent, /Jane Doe/);
+    });
+
+    await t.test('renders a candidate without a skills array', () => {
+        const candidate = makeCandidate({ name: 'No Skills', skills: undefined });
+        app.state.processedCVs = [candidate];
+        assert.doesNotThrow(() => app.renderComparisonResults([{ candidateId: candidate.candidateId, name: 'No Skills', score: 40, justification: 'Limited detail.' }]));
+        assert.match(container.textContent, /No Skills/);
+    });
+
+    await t.test('renders a result whose candidate has since been removed', () => {
+        app.state.processedCVs = [];
+        assert.doesNotThrow(() => app.renderComparisonResults([{ candidateId: 'gone', name: 'Removed', score: 55, justification: 'n/a' }]));
+    });
+
+    await t.test('says so when there are no results', () => {
+        app.renderComparisonResults([]);
+        assert.match(container.textContent, /No matches found for this job description\./);
+    });
+});
+
+test('comparison detail', async t => {
+    const { window, app, close } = await loadApp();
+    t.after(close);
+    const render = (result, candidate) => {
+        const wrapper = window.document.createElement('div');
+        wrapper.innerHTML = app.renderComparisonDetail(result, candidate);
+        return wrapper;
+    };
+
+    await t.test('shows the score, justification and top skills', () => {
+        const detail = render({ name: 'Jane Doe', score: 85, justification: 'Meets every requirement.' }, makeCandidate());
+        assert.match(detail.textContent, /Jane Doe/);
+        assert.match(detail.textContent, /Meets every requirement\./);
+        assert.equal(detail.querySelectorAll('.skill-tag').length, 2);
+    });
+
+    await t.test('omits the skills row when the candidate has none', () => {
+        const detail = render({ name: 'No Skills', score: 30, justification: 'Thin CV.' }, makeCandidate({ skills: undefined }));
+        assert.equal(detail.querySelectorAll('.skill-tag').length, 0);
+    });
+
+    await t.test('works without a matching candidate', () => {
+        const detail = render({ name: 'Removed', score: 50, justification: 'n/a' }, undefined);
+        assert.match(detail.textContent, /Removed/);
+    });
+
+    await t.test('escapes the justification and skills', () => {
+        const detail = render({ name: 'Jane Doe', score: 70, justification: '<img src=x onerror=alert(1)>' }, makeCandidate({ skills: ['<img src=y onerror=alert(2)>'] }));
+        assert.equal(detail.querySelector('img'), null);
+        assert.match(detail.textContent, /<img src=x onerror=alert\(1\)>/);
+        assert.equal(detail.querySelector('.skill-tag').textContent, '<img src=y onerror=alert(2)>');
+    });
+
+    await t.test('flags candidates that fail a must-have', () => {
+        const detail = render({ name: 'Jane Doe', score: 20, justification: 'Missing AWS.', gatePassed: false, failedMustHaves: ['AWS'] }, makeCandidate());
+        assert.ok(detail.querySelector('.comparison-card').classList.contains('border-red-200'));
+    });
+});
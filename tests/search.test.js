@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, waitFor } = require('./helpers/load-app');
+const { makeCandidate } = require('./helpers/candidates');
+
+const term = (value, field = null, phrase = false) => ({ type: 'term', field, value, phrase });
+
+test('parseSearchQuery', async t => {
+    const { app, close } = await loadApp();
+    t.after(close);
+    const parse = query => JSON.parse(JSON.stringify(app.parseSearchQuery(query)));
+
+    await t.test('binds AND tighter than OR', () => {
+        assert.deepEqual(parse('python OR java AND aws'), { type: 'or', left: term('python'), right: { type: 'and', left: term('java'), right: term('aws') } });
+    });
+
+    await t.test('treats adjacent terms as AND', () => {
+        assert.deepEqual(parse('python aws'), { type: 'and', left: term('python'), right: term('aws') });
+    });
+
+    await t.test('binds NOT tightest and respects brackets', () => {
+        assert.deepEqual(parse('NOT junior AND (react OR vue)'), {
+            type: 'and',
+            left: { type: 'not', operand: term('junior') },
+            right: { type: 'or', left: term('react'), right: term('vue') }
+        });
+    });
+
+    await t.test('reads a leading minus as NOT but keeps hyphenated words', () => {
+        assert.deepEqual(parse('-junior full-stack'), { type: 'and', left: { type: 'not', operand: term('junior') }, right: term('full-stack') });
+    });
+
+    await t.test('parses quoted phrases and field filters', () => {
+        assert.deepEqual(parse('"machine learning" OR skill:k8s'), { type: 'or', left: term('machine learning', null, true), right: term('k8s', 'skills') });
+        assert.deepEqual(parse('exp:>=5'), term('>=5', 'experience'));
+    });
+
+    await t.test('returns nothing for an empty query', () => {
+        assert.equal(app.parseSearchQuery('   '), null);
+    });
+
+    await t.test('explains malformed queries', () => {
+        assert.throws(() => app.parseSearchQuery('(python'), { message: 'Missing closing bracket.' });
+        assert.throws(() => app.parseSearchQuery('python AND'), { message: 'The search ends with an operator. Add a term after it.' });
+        assert.throws(() => app.parseSearchQuery('python OR OR java'), { message: 'Unexpected "OR".' });
+        assert.throws(() => app.parseSearchQuery('"machine learning'), { message: 'Missing closing quote.' });
+    });
+});
+
+test('candidate search', async t => {
+    const { window, app, document, close } = await loadApp();
+    t.after(close);
+    app.state.processedCVs = [
+        makeCandidate({ name: 'Jane Doe', skills: ['Python', 'Kubernetes'], summary: 'Senior developer building payment platforms.', totalExperienceYears: 8 }),
+        makeCandidate({ name: 'John Roe', skills: ['JavaScript', 'React'], summary: 'Junior frontend engineer.', totalExperienceYears: 2 }),
+        makeCandidate({ name: 'Ann Poe', skills: ['Java', 'AWS'], summary: 'Backend developer.', totalExperienceYears: 5 })
+    ];
+    app.renderCandidateCards();
+    const input = document.getElementById('candidate-search-input');
+    const status = document.getElementById('candidate-search-status');
+    const search = async query => {
+        input.value = query;
+        input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+        await waitFor(() => status.textContent.includes(`"${query}"`));
+        return Array.from(document.querySelectorAll('#candidate-grid .candidate-card h3'), h3 => h3.textContent);
+    };
+
+    await t.test('matches short terms as whole words only', async () => {
+        assert.deepEqual(await search('java'), ['Ann Poe']);
+    });
+
+    await t.test('matches longer terms as prefixes', async () => {
+        assert.deepEqual(await search('develop'), ['Jane Doe', 'Ann Poe']);
+    });
+
+    await t.test('tolerates one typo in ordinary words and two in long ones', async () => {
+        assert.deepEqual(await search('pythn'), ['Jane Doe']);
+        assert.deepEqual(await search('kubernetse'), ['Jane Doe']);
+        assert.deepEqual(await search('kxbxrnxtes'), []);
+    });
+
+    await t.test('does not fuzz short terms or phrases', async () => {
+        assert.deepEqual(await search('reac'), []);
+        assert.deepEqual(await search('"payment platfrms"'), []);
+    });
+
+    await t.test('applies NOT, OR and experience filters together', async () => {
+        assert.deepEqual(await search('(java OR python) -junior exp:>=6'), ['Jane Doe']);
+        assert.deepEqual(await search('react OR aws'), ['John Roe', 'Ann Poe']);
+    });
+
+    await t.test('matches skill synonyms', async () => {
+        assert.deepEqual(await search('skill:k8s'), ['Jane Doe']);
+    });
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+test('status tracking', async t => {
+    const { app, document, close } = await loadApp();
+    t.after(close);
+    const statusCell = fileName => document.getElementById(app.getStatusRowId(fileName)).querySelector('.status-cell');
+
+    await t.test('gives filenames that differ only in punctuation their own rows', () => {
+        const names = ['cv-1.pdf', 'cv_1.pdf', 'cv 1.pdf', 'cv.1.pdf'];
+        assert.equal(new Set(names.map(app.getStatusRowId)).size, names.length);
+
+        names.forEach(name => app.addStatusRow(name, 'Queued'));
+        app.updateStatus('cv_1.pdf', 'Complete', 'success');
+
+        assert.match(statusCell('cv-1.pdf').textContent, /Queued/);
+        assert.match(statusCell('cv_1.pdf').textContent, /Complete/);
+    });
+
+    await t.test('produces valid element IDs for any filename', () => {
+        const id = app.getStatusRowId('Jöhn "O\'Brien" (CV) #2.pdf');
+        assert.match(id, /^status-[A-Za-z0-9_]+$/);
+    });
+
+    await t.test('labels each status icon for screen readers', () => {
+        app.addStatusRow('labels.pdf', 'Queued');
+        const expected = { processing: 'In progress', analyzing: 'Analysing', ocr: 'Running OCR', error: 'Failed', success: 'Done', pending: 'Waiting' };
+        Object.entries(expected).forEach(([type, label]) => {
+            app.updateStatus('labels.pdf', type, type);
+            assert.equal(statusCell('labels.pdf').querySelector('[role="img"]').getAttribute('aria-label'), label);
+        });
+    });
+
+    await t.test('ignores updates for files without a row', () => {
+        assert.doesNotThrow(() => app.updateStatus('missing.pdf', 'Complete', 'success'));
+    });
+});